@@ -0,0 +1,126 @@
+// Brush definitions and the per-dab dynamics they produce
+const BRUSH_DEFAULTS = {
+    name: 'Brush',
+    icon: '🖌️',
+    mode: 'stamp',         // stamp or ribbon renderer
+    hardness: 1.0,         // 0 = soft falloff from the centre, 1 = crisp edge
+    spacing: 0.1,          // distance between dabs as a fraction of the diameter
+    flow: 1.0,             // opacity each dab deposits
+    opacity: 1.0,          // opacity of the whole stroke (ribbon mode)
+    sizeJitter: 0,         // random size variation per dab, 0-1
+    opacityJitter: 0,      // random opacity variation per dab, 0-1
+    angle: 0,              // tip angle in degrees
+    roundness: 1.0,        // tip height / width, 1 = circle
+    grain: 0,              // how much the paper grain texture bites, 0-1
+    pressureSize: true,    // pressure scales the tip
+    pressureOpacity: true, // pressure scales the flow
+    tiltShape: 0,          // how far a tilted pen stretches the tip along its lean, 0-1
+    twistAngle: true       // pen barrel rotation turns the tip
+};
+
+const TILT_MAX_STRETCH = 2; // a pen lying flat makes the tip this much longer again
+
+const BRUSH_PRESETS = [
+    { id: 'pen', name: 'Pen', icon: '🖊️' },
+    { id: 'pencil', name: 'Pencil', icon: '✏️', hardness: 0.8, spacing: 0.08, flow: 0.7, opacityJitter: 0.2, grain: 0.7, tiltShape: 0.8 },
+    { id: 'marker', name: 'Marker', icon: '🖍️', hardness: 0.85, spacing: 0.05, flow: 0.35, sizeJitter: 0.05, pressureOpacity: false, tiltShape: 0.4 },
+    { id: 'airbrush', name: 'Airbrush', icon: '💨', hardness: 0, spacing: 0.05, flow: 0.06, sizeJitter: 0.1, pressureSize: false, tiltShape: 0.6 },
+    { id: 'calligraphy', name: 'Calligraphy', icon: '🪶', hardness: 0.95, spacing: 0.03, angle: 45, roundness: 0.25, pressureOpacity: false },
+    { id: 'highlighter', name: 'Highlighter', icon: '🟡', mode: 'ribbon', opacity: 0.35, pressureSize: false, pressureOpacity: false }
+];
+
+// Eraser dabs ignore the brush and always remove at full strength
+const ERASER_BRUSH = { ...BRUSH_DEFAULTS, id: 'eraser', name: 'Eraser', pressureOpacity: false };
+
+class BrushEngine {
+    constructor(presets = BRUSH_PRESETS) {
+        // Each brush is a working copy so settings changed during a session stick to it
+        this.brushes = presets.map(preset => BrushEngine.createBrush(preset));
+        this.currentIndex = 0;
+        this.seed = 1;
+    }
+    
+    static createBrush(definition) {
+        return { ...BRUSH_DEFAULTS, ...definition };
+    }
+    
+    getBrushes() {
+        return this.brushes;
+    }
+    
+    getBrush(id) {
+        return this.brushes.find(brush => brush.id === id) || null;
+    }
+    
+    getCurrentBrush() {
+        return this.brushes[this.currentIndex];
+    }
+    
+    setBrush(id) {
+        const index = this.brushes.findIndex(brush => brush.id === id);
+        if (index === -1) return null;
+        
+        this.currentIndex = index;
+        return this.getCurrentBrush();
+    }
+    
+    nextBrush() {
+        this.currentIndex = (this.currentIndex + 1) % this.brushes.length;
+        return this.getCurrentBrush();
+    }
+    
+    // Jitter is seeded per stroke so replaying a stroke reproduces it exactly
+    beginStroke(seed) {
+        this.seed = seed >>> 0 || 1;
+    }
+    
+    random() {
+        // mulberry32
+        this.seed = (this.seed + 0x6D2B79F5) >>> 0;
+        let t = this.seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // pen is { tiltX, tiltY, twist } in degrees, as pointer events report them
+    createDab(brush, size, pressure, pen = null) {
+        const sizeScale = 1 - brush.sizeJitter * this.random();
+        const opacityScale = 1 - brush.opacityJitter * this.random();
+        
+        const dab = {
+            radius: size * (brush.pressureSize ? pressure : 1) * sizeScale,
+            alpha: brush.flow * (brush.pressureOpacity ? pressure : 1) * opacityScale,
+            hardness: brush.hardness,
+            angle: brush.angle * Math.PI / 180,
+            roundness: Math.max(0.05, Math.min(1, brush.roundness)),
+            grain: brush.grain
+        };
+        
+        if (pen && pen.tiltX !== undefined) {
+            this.applyPen(dab, brush, pen);
+        }
+        return dab;
+    }
+    
+    applyPen(dab, brush, pen) {
+        if (brush.twistAngle) {
+            dab.angle += pen.twist * Math.PI / 180;
+        }
+        
+        // A tilted pen lays its side down, so the tip lies along the lean and stretches
+        const leanX = Math.tan(pen.tiltX * Math.PI / 180);
+        const leanY = Math.tan(pen.tiltY * Math.PI / 180);
+        const lean = Math.sin(Math.atan(Math.hypot(leanX, leanY))); // 0 upright, 1 flat
+        if (brush.tiltShape > 0 && lean > 0) {
+            const stretch = 1 + brush.tiltShape * lean * TILT_MAX_STRETCH;
+            dab.angle = Math.atan2(leanY, leanX);
+            dab.radius *= stretch;
+            dab.roundness = Math.max(0.05, dab.roundness / stretch);
+        }
+    }
+    
+    getSpacing(brush, radius) {
+        return Math.max(1, radius * 2 * brush.spacing);
+    }
+}
@@ -1,8 +1,9 @@
 // Camera-based gesture detection using MediaPipe Hand Tracking
 class CameraGestureDetector {
-    constructor(drawingEngine, gestureHandler) {
+    constructor(drawingEngine, gestureHandler, events) {
         this.drawingEngine = drawingEngine;
         this.gestureHandler = gestureHandler;
+        this.events = events; // GestureEventBus for camera strokes and pose changes
         this.video = null;
         this.canvas = null;
         this.ctx = null;
@@ -13,6 +14,7 @@ class CameraGestureDetector {
         this.lastFingerPos = null;
         this.gestureHistory = [];
         this.confidenceThreshold = 0.7;
+        this.paused = false; // hand tracking continues, but draws nothing
         
         // Gesture recognition parameters
         this.fingerTipThreshold = 0.02; // Distance threshold for fingertip detection
@@ -38,6 +40,20 @@ class CameraGestureDetector {
         this.hoveredElement = null;
         this.tapZones = new Map(); // Store clickable areas
         
+        // One-shot command gestures (undo/redo)
+        this.lastCommandTime = 0;
+        this.commandCooldown = 1000; // 1 second between commands
+        
+        // Shapes and bucket fills start once the pose is held still
+        this.holdTime = 500; // ms
+        this.holdRadius = 15; // screen pixels the finger may drift while holding
+        this.hold = null;
+        this.bucketFilled = false; // one fill per bucket pose
+        this.lastDrawingTool = 'pen'; // restored when leaving the eraser or bucket pose
+        this.showingLoupe = false; // eyedropper loupe following the hand
+        this.pinchThreshold = 0.05; // thumb to index tip distance for a pinch
+        this.grabbing = false; // dragging a selection with a pinch
+        
         this.initializeMediaPipe();
     }
     
@@ -357,7 +373,7 @@ class CameraGestureDetector {
             if (this.isDrawing) {
                 this.endDrawing();
             }
-            this.currentGesture = 'none';
+            this.setGesture('none', 0);
             this.hideHandCursor();
             this.updateGestureIndicator('No hand detected - show your hand');
             console.log('❌ No hand landmarks detected');
@@ -411,6 +427,8 @@ class CameraGestureDetector {
     }
     
     processGestures(landmarks, handedness) {
+        if (this.paused) return;
+        
         const gesture = this.recognizeGesture(landmarks);
         this.gestureHistory.push(gesture);
         
@@ -423,7 +441,7 @@ class CameraGestureDetector {
         const stableGesture = this.getStableGesture();
         
         if (stableGesture !== this.currentGesture) {
-            this.currentGesture = stableGesture;
+            this.setGesture(stableGesture, this.getGestureConfidence(stableGesture, handedness));
             this.handleGestureChange(stableGesture, landmarks);
         }
         
@@ -469,6 +487,14 @@ class CameraGestureDetector {
         
         // Optimized gesture recognition based on MediaPipe's BEST detection capabilities
         
+        // PINCH (Thumb tip on index tip) - Grab a floating selection. Checked
+        // first because a pinching index finger can still read as extended
+        const pinchDistance = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y);
+        if (this.drawingEngine.hasSelection() && pinchDistance < this.pinchThreshold && !middleExtended && !ringExtended && !pinkyExtended) {
+            console.log('🤏 PINCH detected - grab selection');
+            return 'pinch';
+        }
+        
         // 1. PALM (BEST DETECTION) - 4+ fingers = Eraser
         if (extendedCount >= 4) {
             console.log('🖐️ PALM detected (excellent) - eraser mode');
@@ -505,13 +531,37 @@ class CameraGestureDetector {
             return 'tap';
         }
         
-        // 7. Fallback for partial detections
+        // 7. PINKY ONLY - Undo
+        else if (extendedCount === 1 && pinkyExtended) {
+            console.log('🤙 PINKY detected - undo');
+            return 'pinky';
+        }
+        
+        // 8. SHAKA (Thumb + Pinky) - Redo
+        else if (extendedCount === 2 && thumbExtended && pinkyExtended) {
+            console.log('🤙 SHAKA detected - redo');
+            return 'shaka';
+        }
+        
+        // 9. HORNS (Index + Pinky, no thumb) - Next brush
+        else if (extendedCount === 2 && indexExtended && pinkyExtended) {
+            console.log('🤘 HORNS detected - next brush');
+            return 'horns';
+        }
+        
+        // 10. L SHAPE (Thumb + Index) - Paint bucket
+        else if (extendedCount === 2 && thumbExtended && indexExtended) {
+            console.log('🪣 L shape detected - paint bucket');
+            return 'bucket';
+        }
+        
+        // 11. Fallback for partial detections
         else if (indexExtended) {
             console.log('👆 Index extended (fallback) - point mode');
             return 'point';
         }
         
-        // 8. Unknown/Poor detection - no action
+        // 12. Unknown/Poor detection - no action
         else {
             console.log('❓ Unknown gesture (poor detection)');
             return 'none';
@@ -533,36 +583,57 @@ class CameraGestureDetector {
         return isStable ? recentGesture : 'none';
     }
     
+    // How sure we are of a pose: the share of recent frames that agree,
+    // scaled by how sure MediaPipe is that it sees a hand at all
+    getGestureConfidence(gesture, handedness) {
+        const agreeing = this.gestureHistory.filter(g => g === gesture).length;
+        const handScore = handedness && handedness.score !== undefined ? handedness.score : 1;
+        return agreeing / Math.max(this.gestureHistory.length, 1) * handScore;
+    }
+    
+    setGesture(gesture, confidence) {
+        const previous = this.currentGesture;
+        this.currentGesture = gesture;
+        this.gestureConfidence = confidence;
+        if (gesture !== previous) {
+            this.events.emit('cameraGestureChanged', { gesture, previous, confidence });
+        }
+    }
+    
     handleGestureChange(gesture, landmarks) {
         console.log('🖐️ Gesture changed to:', gesture, 'at', Date.now()); // Enhanced debug log
+        this.hold = null;
+        this.bucketFilled = false;
         
+        // Letting go of the pinch drops the selection where it is
+        if (this.grabbing) {
+            this.endDrawing();
+        }
+        
+        // The app labels each pose in its status line from cameraGestureChanged
         switch (gesture) {
             case 'point':
-                this.updateGestureIndicator('👉 Point detected - Drawing active');
-                this.drawingEngine.setTool('pen');
+                this.selectDrawingTool();
                 console.log('✏️ Pen tool activated (pointing)');
                 // Don't end drawing - let pointing continue to draw
                 break;
                 
             case 'draw':
-                this.updateGestureIndicator('✌️ Draw mode - Moving finger');
-                this.drawingEngine.setTool('pen');
+                this.selectDrawingTool();
                 break;
                 
             case 'peace':
-                this.updateGestureIndicator('✌️ Peace sign - Alternative draw');
-                this.drawingEngine.setTool('pen');
+                this.selectDrawingTool();
                 break;
                 
             case 'palm':
-                this.updateGestureIndicator('🖐️ Open hand - Eraser active');
-                this.drawingEngine.setTool('eraser');
+                this.rememberDrawingTool();
+                this.selectTool('eraser');
                 console.log('🧹 Eraser tool activated');
                 // Don't end drawing immediately - let it continue with eraser
                 break;
                 
             case 'rock':
-                this.updateGestureIndicator('🤟 Rock sign - Cursor positioning');
                 if (this.isDrawing) {
                     this.endDrawing();
                     console.log('⏹️ Drawing stopped - switching to cursor positioning');
@@ -571,13 +642,11 @@ class CameraGestureDetector {
                 break;
                 
             case 'three':
-                this.updateGestureIndicator('🖖 Three fingers - Alternative draw');
-                this.drawingEngine.setTool('pen');
+                this.selectDrawingTool();
                 console.log('✏️ Pen tool activated (three fingers)');
                 break;
                 
             case 'tap':
-                this.updateGestureIndicator('👍 Thumbs up - Tap gesture');
                 if (this.isDrawing) {
                     this.endDrawing();
                     console.log('⏹️ Drawing stopped for tap gesture');
@@ -585,9 +654,43 @@ class CameraGestureDetector {
                 console.log('👍 Tap gesture mode active');
                 break;
                 
+            case 'pinky':
+                if (this.isDrawing) {
+                    this.endDrawing();
+                }
+                this.performCommand('undo');
+                break;
+                
+            case 'shaka':
+                if (this.isDrawing) {
+                    this.endDrawing();
+                }
+                this.performCommand('redo');
+                break;
+                
+            case 'horns':
+                if (this.isDrawing) {
+                    this.endDrawing();
+                }
+                this.performCommand('nextBrush');
+                break;
+                
+            case 'bucket':
+                if (this.isDrawing) {
+                    this.endDrawing();
+                }
+                this.rememberDrawingTool();
+                this.selectTool('bucket');
+                break;
+                
+            case 'pinch':
+                if (this.isDrawing) {
+                    this.endDrawing();
+                }
+                break;
+                
             case 'fist':
                 // Keep fist as fallback but with lower priority
-                this.updateGestureIndicator('✊ Fist - Cursor positioning (low confidence)');
                 if (this.isDrawing) {
                     this.endDrawing();
                     console.log('⏹️ Drawing stopped - fist detected');
@@ -595,7 +698,6 @@ class CameraGestureDetector {
                 break;
                 
             default:
-                this.updateGestureIndicator('Show your hand to start');
                 if (this.isDrawing) {
                     this.endDrawing();
                 }
@@ -617,20 +719,41 @@ class CameraGestureDetector {
         // Update hand cursor position
         this.updateHandCursor(screenX, screenY);
         
-        // Convert hand coordinates to canvas coordinates for drawing
-        const canvasWidth = drawingCanvas.width;
-        const canvasHeight = drawingCanvas.height;
-        const canvasX = (1 - indexTip.x) * canvasWidth;
-        const canvasY = indexTip.y * canvasHeight;
+        // Convert hand coordinates to document coordinates for drawing
+        const { x: canvasX, y: canvasY } = this.getDocumentPosition(indexTip, drawingCanvas);
         
         console.log(`Hand: ${indexTip.x.toFixed(3)}, ${indexTip.y.toFixed(3)} -> Screen: ${screenX.toFixed(1)}, ${screenY.toFixed(1)} -> Canvas: ${canvasX.toFixed(1)}, ${canvasY.toFixed(1)}`);
         
+        // With the eyedropper, pointing shows the loupe and a still finger picks
+        const eyedropper = window.drawingApp && window.drawingApp.eyedropper;
+        const sampling = eyedropper && this.currentGesture === 'point' && this.drawingEngine.currentTool === 'eyedropper';
+        if (sampling) {
+            eyedropper.showLoupe(screenX, screenY, canvasX, canvasY);
+            this.showingLoupe = true;
+            if (this.isHoldComplete(screenX, screenY, 'pick the colour')) {
+                const color = eyedropper.pick(canvasX, canvasY);
+                this.updateGestureIndicator(color ? `💧 Picked ${color}` : '💧 Nothing to pick here');
+            }
+        } else if (this.showingLoupe) {
+            this.hideLoupe();
+        }
+        
         // Auto-start drawing/erasing for active drawing gestures
         const drawingGestures = ['point', 'draw', 'peace', 'palm', 'three'];
-        if (drawingGestures.includes(this.currentGesture) && !this.isDrawing) {
-            console.log('Starting', this.currentGesture === 'palm' ? 'erasing' : 'drawing', 'from gesture:', this.currentGesture);
+        if (drawingGestures.includes(this.currentGesture) && !this.isDrawing && !sampling) {
+            // Shapes and text wait for a short hold so the spot is deliberate
+            const waitForHold = this.currentGesture !== 'palm' && (this.drawingEngine.isShapeTool() || this.drawingEngine.currentTool === 'text');
+            if (!waitForHold || this.isHoldComplete(screenX, screenY, `start the ${this.drawingEngine.currentTool}`)) {
+                console.log('Starting', this.currentGesture === 'palm' ? 'erasing' : 'drawing', 'from gesture:', this.currentGesture);
+                this.startDrawing(indexTip);
+                return;
+            }
+        }
+        
+        // Pinching inside a floating selection picks it up and drags it
+        if (this.currentGesture === 'pinch' && !this.isDrawing) {
             this.startDrawing(indexTip);
-            return;
+            this.grabbing = true;
         }
         
         // Continue drawing/erasing if active
@@ -638,9 +761,12 @@ class CameraGestureDetector {
             this.continueDrawing(canvasX, canvasY);
         }
         
-        // Visual feedback on fallback canvas for drawing gestures
-        if (drawingGestures.includes(this.currentGesture)) {
-            this.drawFallbackPoint(screenX, screenY);
+        // The bucket pose fills where the index finger comes to rest
+        if (this.currentGesture === 'bucket' && !this.bucketFilled && this.isHoldComplete(screenX, screenY, 'fill')) {
+            this.bucketFilled = true;
+            this.startDrawing(indexTip);
+            this.endDrawing();
+            this.updateGestureIndicator('🪣 Filled!');
         }
         
         // For positioning gestures: check for UI interactions and show cursor position
@@ -675,7 +801,50 @@ class CameraGestureDetector {
         }
         
         this.lastFingerPos = { x: canvasX, y: canvasY };
-        this.lastScreenPos = { x: screenX, y: screenY };
+    }
+    
+    selectDrawingTool() {
+        // Leaving the eraser or bucket pose returns to the tool in use before it
+        const tool = this.drawingEngine.currentTool;
+        if (tool === 'eraser' || tool === 'bucket') {
+            this.selectTool(this.lastDrawingTool);
+        }
+    }
+    
+    rememberDrawingTool() {
+        const tool = this.drawingEngine.currentTool;
+        if (tool !== 'eraser' && tool !== 'bucket') {
+            this.lastDrawingTool = tool;
+        }
+    }
+    
+    selectTool(tool) {
+        this.events.emit('toolChange', { tool, source: 'camera' });
+    }
+    
+    isHoldComplete(x, y, action) {
+        const now = Date.now();
+        
+        // Moving too far restarts the hold
+        if (!this.hold || Math.hypot(x - this.hold.x, y - this.hold.y) > this.holdRadius) {
+            this.hold = { x, y, time: now };
+            return false;
+        }
+        
+        if (now - this.hold.time < this.holdTime) {
+            this.updateGestureIndicator(`⏳ Hold still to ${action}...`);
+            return false;
+        }
+        
+        this.hold = null;
+        return true;
+    }
+    
+    getDocumentPosition(landmark, drawingCanvas) {
+        // Mirrored hand position on the canvas, mapped through the inverse view transform
+        const screenX = (1 - landmark.x) * drawingCanvas.width;
+        const screenY = landmark.y * drawingCanvas.height;
+        return this.drawingEngine.screenToDocument(screenX, screenY);
     }
     
     startDrawing(fingerPos) {
@@ -684,75 +853,52 @@ class CameraGestureDetector {
         const drawingCanvas = document.getElementById('drawingCanvas');
         if (!drawingCanvas) return;
         
-        const canvasWidth = drawingCanvas.width;
-        const canvasHeight = drawingCanvas.height;
-        const x = (1 - fingerPos.x) * canvasWidth;
-        const y = fingerPos.y * canvasHeight;
+        const { x, y } = this.getDocumentPosition(fingerPos, drawingCanvas);
         
         this.isDrawing = true;
         this.drawingStartTime = Date.now();
         
-        try {
-            // Try WebGL drawing first
-            this.drawingEngine.startStroke(x, y, 1.0);
-            console.log('Started camera drawing at:', x.toFixed(1), y.toFixed(1));
-            this.updateGestureIndicator('🎨 Drawing active!');
-            
-            // Also try fallback drawing if available
-            if (window.drawingApp && window.drawingApp.fallbackCtx) {
-                const screenPos = this.lastScreenPos;
-                if (screenPos) {
-                    const ctx = window.drawingApp.fallbackCtx;
-                    ctx.globalCompositeOperation = 'source-over';
-                    ctx.lineJoin = 'round';
-                    ctx.lineCap = 'round';
-                    ctx.lineWidth = 5;
-                    ctx.strokeStyle = '#ff0000';
-                    ctx.beginPath();
-                    ctx.arc(screenPos.x, screenPos.y, 3, 0, 2 * Math.PI);
-                    ctx.fill();
-                }
-            }
-        } catch (error) {
-            console.error('Error starting stroke:', error);
-            this.isDrawing = false;
-        }
+        this.events.emit('strokeStart', { x, y, pressure: 1.0, source: 'camera', pen: null, gesture: this.currentGesture, time: this.drawingStartTime });
+        console.log('Started camera drawing at:', x.toFixed(1), y.toFixed(1));
     }
     
     continueDrawing(x, y) {
         if (!this.isDrawing) return;
         
         this.lastDrawTime = Date.now();
-        
-        try {
-            this.drawingEngine.continueStroke(x, y, 1.0);
-            
-            // Also draw on fallback canvas
-            if (window.drawingApp && window.drawingApp.fallbackCtx && this.lastScreenPos) {
-                const ctx = window.drawingApp.fallbackCtx;
-                const screenPos = this.lastScreenPos;
-                ctx.strokeStyle = '#ff0000';
-                ctx.lineWidth = 3;
-                ctx.beginPath();
-                ctx.arc(screenPos.x, screenPos.y, 2, 0, 2 * Math.PI);
-                ctx.fill();
-            }
-        } catch (error) {
-            console.error('Error continuing stroke:', error);
-            this.endDrawing();
-        }
+        this.events.emit('strokeMove', { x, y, pressure: 1.0, source: 'camera', pen: null, gesture: this.currentGesture, time: this.lastDrawTime });
     }
     
     endDrawing() {
         if (!this.isDrawing) return;
         
         this.isDrawing = false;
-        this.drawingEngine.endStroke();
+        this.grabbing = false;
+        this.events.emit('strokeEnd', { source: 'camera', cancelled: false });
         this.lastFingerPos = null;
         
         console.log('Ended camera drawing');
     }
     
+    performCommand(command) {
+        const now = Date.now();
+        
+        // Holding the pose must not repeat the command
+        if (now - this.lastCommandTime < this.commandCooldown) {
+            console.log('⏰ Command cooldown active');
+            return false;
+        }
+        this.lastCommandTime = now;
+        
+        // Prefer the app so the toolbar state stays in sync
+        const target = window.drawingApp || this.drawingEngine;
+        if (typeof target[command] !== 'function') return false;
+        
+        target[command]();
+        console.log(`✅ Gesture command executed: ${command}`);
+        return true;
+    }
+    
     setupTapZones() {
         // Map clickable UI elements for gesture interaction
         this.tapZones.clear();
@@ -817,6 +963,36 @@ class CameraGestureDetector {
             console.warn('⚠️ Clear button not found for gesture mapping');
         }
         
+        // Undo/redo buttons
+        const historyButtons = document.querySelectorAll('.history-btn');
+        historyButtons.forEach(btn => {
+            const rect = btn.getBoundingClientRect();
+            this.tapZones.set('history_' + btn.dataset.action, {
+                element: btn,
+                rect: rect,
+                action: () => {
+                    console.log('🎯 Gesture tap on history button:', btn.dataset.action);
+                    btn.click();
+                },
+                label: btn.dataset.action
+            });
+        });
+        
+        // Brush preset buttons
+        const brushButtons = document.querySelectorAll('.brush-preset-btn');
+        brushButtons.forEach(btn => {
+            const rect = btn.getBoundingClientRect();
+            this.tapZones.set('brush_' + btn.dataset.brush, {
+                element: btn,
+                rect: rect,
+                action: () => {
+                    console.log('🎯 Gesture tap on brush:', btn.dataset.brush);
+                    btn.click();
+                },
+                label: btn.title + ' brush'
+            });
+        });
+        
         // Brush size slider
         const brushSlider = document.getElementById('brushSize');
         if (brushSlider) {
@@ -918,49 +1094,6 @@ class CameraGestureDetector {
         return false;
     }
     
-    drawFallbackPoint(screenX, screenY) {
-        // Draw immediate visual feedback on fallback canvas
-        if (window.drawingApp && window.drawingApp.fallbackCtx) {
-            const ctx = window.drawingApp.fallbackCtx;
-            
-            // Choose color based on current gesture
-            let color = '#00ff00'; // Green for drawing
-            let size = 3;
-            let compositeOp = 'source-over';
-            
-            if (this.currentGesture === 'palm') {
-                color = '#ff0066'; // Pink for eraser
-                size = 8; // Larger for eraser
-                compositeOp = 'destination-out'; // Eraser mode
-            } else if (this.currentGesture === 'point') {
-                color = '#0066ff'; // Blue for pointing
-                size = 2; // Smaller for precision
-            } else if (this.currentGesture === 'draw' || this.currentGesture === 'peace') {
-                color = '#00ff00'; // Green for peace sign drawing
-                size = 3;
-            }
-            
-            // Draw a circle for immediate feedback
-            ctx.globalCompositeOperation = compositeOp;
-            ctx.fillStyle = color;
-            ctx.beginPath();
-            ctx.arc(screenX, screenY, size, 0, 2 * Math.PI);
-            ctx.fill();
-            
-            // Draw line if we have a previous position
-            if (this.lastScreenPos && this.isDrawing) {
-                ctx.strokeStyle = color;
-                ctx.lineWidth = this.currentGesture === 'palm' ? 10 : 3;
-                ctx.lineCap = 'round';
-                ctx.globalCompositeOperation = compositeOp;
-                ctx.beginPath();
-                ctx.moveTo(this.lastScreenPos.x, this.lastScreenPos.y);
-                ctx.lineTo(screenX, screenY);
-                ctx.stroke();
-            }
-        }
-    }
-    
     updateHandCursor(x, y) {
         if (!this.handCursor) return;
         
@@ -999,6 +1132,20 @@ class CameraGestureDetector {
                 color = '#ffff00'; // Yellow for tap gesture
                 size = 22;
                 break;
+            case 'pinky':
+            case 'shaka':
+            case 'horns':
+                color = '#9b59b6'; // Purple for undo/redo/brush commands
+                size = 18;
+                break;
+            case 'bucket':
+                color = '#00bcd4'; // Cyan for the paint bucket
+                size = 22;
+                break;
+            case 'pinch':
+                color = '#667eea'; // Selection blue while grabbing
+                size = 16;
+                break;
             case 'fist':
                 color = '#999999'; // Gray for fist positioning (POOR detection)
                 size = 16;
@@ -1057,22 +1204,24 @@ class CameraGestureDetector {
                 trail.style.display = 'none';
             });
         }
+        
+        if (this.showingLoupe) {
+            this.hideLoupe();
+        }
     }
     
-    updateGestureIndicator(message) {
-        const indicator = document.getElementById('gestureIndicator');
-        if (indicator) {
-            indicator.textContent = `Camera: ${message}`;
-            indicator.className = 'gesture-indicator';
-            
-            if (message.includes('Drawing')) {
-                indicator.classList.add('drawing');
-            } else if (message.includes('Eraser')) {
-                indicator.classList.add('erasing');
-            }
+    hideLoupe() {
+        this.showingLoupe = false;
+        if (window.drawingApp && window.drawingApp.eyedropper) {
+            window.drawingApp.eyedropper.hideLoupe();
         }
     }
     
+    // Hold progress and results for the status line; the app shows them
+    updateGestureIndicator(message) {
+        this.events.emit('cameraFeedback', { message });
+    }
+    
     updateCameraStatus(message) {
         // Create or update camera status indicator
         let statusDiv = document.getElementById('cameraStatus');
@@ -1190,6 +1339,21 @@ class CameraGestureDetector {
     }
     
     // Public API
+    // While the drawing engine rebuilds its GPU context
+    pause() {
+        this.paused = true;
+        this.endDrawing();
+        this.setGesture('none', 0);
+        this.gestureHistory = [];
+        this.hideHandCursor();
+        this.hideLoupe();
+        this.updateGestureIndicator('⏸️ Paused - restoring the drawing');
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
     isEnabled() {
         return this.isActive;
     }
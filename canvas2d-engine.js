@@ -0,0 +1,691 @@
+// Canvas 2D drawing backend for browsers without WebGL. Implements the core
+// DrawingEngine interface: brushes, eraser, shapes, view, background, undo and export
+const CANVAS2D_TOOLS = ['pen', 'eraser', 'eyedropper', ...SHAPE_TOOLS];
+const CHECKER_COLORS = ['#ffffff', '#d8d8dc'];
+
+class Canvas2DEngine {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        
+        if (!this.ctx) {
+            throw new Error('Canvas 2D not supported');
+        }
+        
+        this.backend = 'canvas2d';
+        this.currentTool = 'pen';
+        this.currentColor = { r: 0, g: 0, b: 0, a: 1 };
+        this.brushSize = 5;
+        this.isDrawing = false;
+        this.continuingGesture = false; // a tool change is restarting the stroke
+        this.lastPoint = null;
+        this.pressure = 1.0;
+        this.strokePoints = [];
+        this.smoothing = 0.3;
+        
+        this.viewport = new Viewport();
+        this.viewport.onChange = (viewport) => {
+            this.requestRender();
+            if (this.onViewChange) {
+                this.onViewChange(viewport);
+            }
+        };
+        this.onViewChange = null;
+        this.onRender = null;
+        
+        this.background = { type: 'solid', color: { r: 1, g: 1, b: 1 } };
+        
+        // Same presets and dab dynamics as the WebGL engine
+        this.brushes = new BrushEngine();
+        this.strokeBrush = null;
+        this.interpolator = new StrokeInterpolator({
+            spacing: (pressure) => this.getDabSpacing(this.getBrushRadius(pressure))
+        });
+        
+        this.activeShape = null;
+        this.constrainShapes = false;
+        this.shapeOptions = { stroke: true, fill: false, fillColor: null, sides: 5 };
+        
+        // The drawing lives off screen; ribbon strokes and shapes are built in a
+        // scratch canvas and joined to it when they end, like the stroke buffer
+        this.documentCanvas = this.createCanvas();
+        this.documentCtx = this.documentCanvas.getContext('2d');
+        this.strokeCanvas = this.createCanvas();
+        this.strokeCtx = this.strokeCanvas.getContext('2d');
+        this.strokeOpacity = null; // null while dabs go straight into the drawing
+        this.predictedPoints = []; // drawn ahead of the stroke until the next real sample
+        
+        // The drawing canvas only ever grows, so whatever a smaller canvas pushes
+        // out of view comes back when it grows again; the origin is where the
+        // document's top-left corner sits in it
+        this.resizeAnchor = 'top-left';
+        this.backingOrigin = { x: 0, y: 0 };
+        
+        this.renderPending = false;
+        this.stats = { frames: 0, lastFrameMs: 0, avgFrameMs: 0, totalDabs: 0 };
+        
+        this.history = new HistoryManager({
+            limit: 30,
+            onChange: (canUndo, canRedo) => {
+                if (this.onHistoryChange) {
+                    this.onHistoryChange(canUndo, canRedo);
+                }
+            }
+        });
+        this.onHistoryChange = null;
+        
+        this.renderToScreen();
+        console.log('Canvas 2D backend ready (WebGL unavailable)');
+    }
+    
+    createCanvas(width = this.canvas.width, height = this.canvas.height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    resize() {
+        WebGLUtils.resizeCanvas(this.canvas);
+        
+        // The scratch canvas always has the document's size
+        const { width, height } = this.canvas;
+        const previousWidth = this.strokeCanvas.width;
+        const previousHeight = this.strokeCanvas.height;
+        if (width === previousWidth && height === previousHeight) return;
+        
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        
+        // Keep the drawing pinned to the anchor, as the layer stack does
+        const [ax, ay] = RESIZE_ANCHORS[this.resizeAnchor];
+        const origin = this.backingOrigin;
+        origin.x -= Math.round((width - previousWidth) * ax);
+        origin.y -= Math.round((height - previousHeight) * ay);
+        
+        // Grow the drawing canvas where the document now reaches past it
+        const previous = this.documentCanvas;
+        const shiftX = Math.max(0, -origin.x);
+        const shiftY = Math.max(0, -origin.y);
+        const backingWidth = Math.max(previous.width + shiftX, origin.x + shiftX + width);
+        const backingHeight = Math.max(previous.height + shiftY, origin.y + shiftY + height);
+        if (backingWidth !== previous.width || backingHeight !== previous.height) {
+            this.documentCanvas = this.createCanvas(backingWidth, backingHeight);
+            this.documentCtx = this.documentCanvas.getContext('2d');
+            this.documentCtx.drawImage(previous, shiftX, shiftY);
+            origin.x += shiftX;
+            origin.y += shiftY;
+        }
+        
+        // Everything is drawn in document coordinates
+        this.documentCtx.setTransform(1, 0, 0, 1, origin.x, origin.y);
+        this.strokeCanvas = this.createCanvas();
+        this.strokeCtx = this.strokeCanvas.getContext('2d');
+        
+        // Snapshots no longer match the canvas size
+        this.history.clear();
+        this.renderToScreen();
+        console.log(`Canvas resized to: ${width}x${height} (anchor ${this.resizeAnchor})`);
+    }
+    
+    setResizeAnchor(anchor) {
+        if (RESIZE_ANCHORS[anchor]) {
+            this.resizeAnchor = anchor;
+        }
+    }
+    
+    // Tools
+    supportsTool(tool) {
+        return CANVAS2D_TOOLS.includes(tool);
+    }
+    
+    setTool(tool) {
+        if (!this.supportsTool(tool)) {
+            console.warn(`Tool "${tool}" needs WebGL`);
+            return;
+        }
+        
+        // A stroke keeps the tool it started with, so switching mid-stroke
+        // ends it and a pen or eraser carries on as a new stroke from there,
+        // under the same undo step
+        const point = this.isDrawing && tool !== this.currentTool ? this.lastPoint : null;
+        const source = this.strokeSource;
+        if (point) {
+            this.endStroke();
+        }
+        this.currentTool = tool;
+        if (point && (tool === 'pen' || tool === 'eraser')) {
+            this.continuingGesture = true;
+            this.startStroke(point.x, point.y, this.pressure, source);
+            this.continuingGesture = false;
+        }
+    }
+    
+    isShapeTool(tool = this.currentTool) {
+        return ShapeTool.isShapeTool(tool);
+    }
+    
+    setColor(color) {
+        this.currentColor = WebGLUtils.hexToRgb(color);
+        this.currentColor.a = 1.0;
+    }
+    
+    setBrushSize(size) {
+        this.brushSize = size;
+    }
+    
+    setSmoothing(strength) {
+        this.smoothing = Math.max(0, Math.min(1, strength));
+    }
+    
+    setPressure(pressure) {
+        this.pressure = Math.max(0.1, Math.min(1.0, pressure));
+    }
+    
+    setConstrain(constrain) {
+        if (this.constrainShapes === constrain) return;
+        
+        this.constrainShapes = constrain;
+        if (this.activeShape) {
+            this.activeShape.constrain = constrain;
+            this.drawShape();
+        }
+    }
+    
+    setShapeOptions(options) {
+        Object.assign(this.shapeOptions, options);
+    }
+    
+    // Brushes
+    getBrushes() {
+        return this.brushes.getBrushes();
+    }
+    
+    getBrush() {
+        return this.brushes.getCurrentBrush();
+    }
+    
+    setBrush(id) {
+        return this.brushes.setBrush(id);
+    }
+    
+    nextBrush() {
+        return this.brushes.nextBrush();
+    }
+    
+    setStrokeMode(mode) {
+        this.getBrush().mode = mode === 'ribbon' ? 'ribbon' : 'stamp';
+    }
+    
+    getDabSpacing(radius) {
+        return this.brushes.getSpacing(this.strokeBrush || this.getBrush(), radius);
+    }
+    
+    getBrushRadius(pressure) {
+        const brush = this.strokeBrush || this.getBrush();
+        return this.brushSize * (brush.pressureSize ? pressure : 1);
+    }
+    
+    // The WebGL-only tools have nothing to act on here
+    hasSelection() {
+        return false;
+    }
+    
+    grabSelection() {
+        return false;
+    }
+    
+    // Strokes
+    startStroke(x, y, pressure = 1.0, source = 'unknown', pen = null) {
+        if (this.currentTool === 'eyedropper') return;
+        
+        if (!this.continuingGesture) {
+            this.recordHistory();
+        }
+        this.isDrawing = true;
+        this.strokeSource = source;
+        
+        if (this.isShapeTool()) {
+            const options = this.shapeOptions;
+            this.activeShape = {
+                type: this.currentTool,
+                start: { x, y },
+                end: { x, y },
+                constrain: this.constrainShapes,
+                size: this.brushSize,
+                stroke: options.stroke,
+                fill: options.fill,
+                fillColor: options.fillColor ? WebGLUtils.hexToRgb(options.fillColor) : { ...this.currentColor },
+                sides: options.sides
+            };
+            this.strokeOpacity = this.currentColor.a;
+            this.drawShape();
+            return;
+        }
+        
+        const erase = this.currentTool === 'eraser';
+        const brush = erase ? ERASER_BRUSH : this.getBrush();
+        this.strokeBrush = { ...brush };
+        this.brushes.beginStroke(Math.floor(Math.random() * 0xFFFFFFFF));
+        
+        // Ribbon strokes keep a uniform opacity, so their dabs can't stack up
+        this.strokeOpacity = brush.mode === 'ribbon' && !erase ? brush.opacity * this.currentColor.a : null;
+        this.strokeCtx.clearRect(0, 0, this.strokeCanvas.width, this.strokeCanvas.height);
+        
+        this.lastPoint = { x, y };
+        this.strokePoints = [{ x, y, pressure }];
+        this.setPressure(pressure);
+        
+        this.interpolator.reset();
+        this.drawDabs(this.interpolator.addPoint({ x, y, pressure: this.pressure, ...pen }));
+        console.log(`Starting ${source} stroke at: ${x.toFixed(1)}, ${y.toFixed(1)}`);
+    }
+    
+    continueStroke(x, y, pressure = 1.0, pen = null) {
+        if (!this.isDrawing) return;
+        
+        if (this.activeShape) {
+            this.activeShape.end = { x, y };
+            this.drawShape();
+            return;
+        }
+        
+        this.setPressure(pressure);
+        this.predictedPoints = [];
+        
+        const smoothedPoint = this.smoothPoint(x, y);
+        this.strokePoints.push({ ...smoothedPoint, pressure });
+        this.drawDabs(this.interpolator.addPoint({ ...smoothedPoint, pressure: this.pressure, ...pen }));
+        
+        this.lastPoint = smoothedPoint;
+    }
+    
+    // Expected pointer positions, shown as a plain line until the next real sample
+    predictStroke(points) {
+        if (!this.isDrawing || this.activeShape || this.currentTool === 'eraser') return;
+        
+        let previous = this.strokePoints[this.strokePoints.length - 1];
+        const predicted = points.map(point => {
+            previous = { ...point, ...this.smoothPoint(point.x, point.y, previous) };
+            return previous;
+        });
+        
+        this.predictedPoints = predicted.length > 0 ? [...this.interpolator.getPendingPoints(), ...predicted] : [];
+        this.requestRender();
+    }
+    
+    endStroke() {
+        if (!this.isDrawing) return;
+        
+        if (!this.activeShape) {
+            this.drawDabs(this.interpolator.finish());
+        }
+        
+        // Join the scratch stroke to the drawing at its own opacity
+        if (this.strokeOpacity !== null) {
+            const ctx = this.documentCtx;
+            ctx.globalAlpha = this.strokeOpacity;
+            ctx.drawImage(this.strokeCanvas, 0, 0);
+            ctx.globalAlpha = 1;
+            this.strokeCtx.clearRect(0, 0, this.strokeCanvas.width, this.strokeCanvas.height);
+        }
+        
+        this.isDrawing = false;
+        this.activeShape = null;
+        this.predictedPoints = [];
+        this.strokeOpacity = null;
+        this.strokeBrush = null;
+        this.lastPoint = null;
+        this.strokePoints = [];
+        this.requestRender();
+    }
+    
+    cancelStroke() {
+        if (!this.isDrawing) return false;
+        
+        this.endStroke();
+        this.restoreSnapshot(this.history.undoStack[this.history.undoStack.length - 1]);
+        this.history.cancel();
+        console.log('↩️ Stroke cancelled');
+        return true;
+    }
+    
+    // Subscribes to the same gesture events as the WebGL engine
+    connectGestureEvents(events) {
+        events.on('strokeStart', (e) => {
+            // A camera pinch picks up the floating selection instead of drawing
+            if (e.gesture === 'pinch') {
+                this.grabSelection(e.x, e.y);
+            } else {
+                this.startStroke(e.x, e.y, e.pressure, e.source, e.pen);
+            }
+        });
+        events.on('strokeMove', (e) => this.continueStroke(e.x, e.y, e.pressure, e.pen));
+        events.on('strokePredict', (e) => this.predictStroke(e.points));
+        events.on('strokeEnd', (e) => e.cancelled ? this.cancelStroke() : this.endStroke());
+        events.on('constrainChanged', (e) => this.setConstrain(e.constrain));
+        events.on('toolChange', (e) => this.setTool(e.tool));
+        events.on('pinch', (e) => {
+            if (e.phase === 'move') {
+                this.moveView(e);
+            }
+        });
+        events.on('navigate', (e) => this.moveView(e));
+        events.on('doubleTap', (e) => {
+            if (e.fingers !== 2) return;
+            
+            this.getViewport().reset();
+            console.log('🔍 View reset');
+        });
+    }
+    
+    // Pinches, the wheel and space-drag all move the view by screen-space deltas
+    moveView({ x, y, dx, dy, scale, rotation }) {
+        const viewport = this.getViewport();
+        viewport.panBy(dx, dy);
+        viewport.zoomAt(scale, x, y);
+        viewport.rotateBy(rotation, x, y);
+    }
+    
+    smoothPoint(x, y, lastPoint = this.strokePoints[this.strokePoints.length - 1]) {
+        if (this.strokePoints.length < 2 || this.smoothing === 0) {
+            return { x, y };
+        }
+        
+        // Exponential moving average, as in the WebGL engine
+        const factor = 1 - this.smoothing * 0.85;
+        return {
+            x: lastPoint.x + (x - lastPoint.x) * factor,
+            y: lastPoint.y + (y - lastPoint.y) * factor
+        };
+    }
+    
+    drawDabs(dabs) {
+        dabs.forEach(dab => this.drawPoint(dab.x, dab.y, dab.pressure, dab));
+        this.requestRender();
+    }
+    
+    drawPoint(x, y, pressure = this.pressure, pen = null) {
+        const erase = this.currentTool === 'eraser';
+        const dab = this.brushes.createDab(this.strokeBrush, this.brushSize, pressure, pen);
+        const ribbon = this.strokeOpacity !== null;
+        const ctx = ribbon ? this.strokeCtx : this.documentCtx;
+        const color = this.currentColor;
+        const alpha = ribbon ? 1 : (erase ? 1 : color.a) * dab.alpha;
+        const radius = Math.max(0.5, dab.radius);
+        
+        // Soft tips fade out over the same band as the stamp shader
+        const falloff = Math.max(radius * (1 - dab.hardness), 1);
+        const rgb = `${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}`;
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius + 1);
+        gradient.addColorStop(Math.max(0, (radius - falloff) / (radius + 1)), `rgba(${rgb}, ${alpha})`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+        
+        ctx.save();
+        ctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+        ctx.translate(x, y);
+        ctx.rotate(dab.angle);
+        ctx.scale(1, dab.roundness);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius + 1, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        
+        this.stats.totalDabs++;
+    }
+    
+    // Rubber-band shape, redrawn into the scratch canvas on every move
+    drawShape() {
+        const shape = this.activeShape;
+        const geometry = ShapeTool.build(shape);
+        const ctx = this.strokeCtx;
+        const toStyle = (color) => `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+        
+        ctx.clearRect(0, 0, this.strokeCanvas.width, this.strokeCanvas.height);
+        
+        if (shape.fill) {
+            ctx.fillStyle = toStyle(shape.fillColor);
+            geometry.fills.forEach(polygon => {
+                ctx.beginPath();
+                polygon.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+                ctx.closePath();
+                ctx.fill();
+            });
+        }
+        
+        ctx.strokeStyle = toStyle(this.currentColor);
+        ctx.lineWidth = shape.size * 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        geometry.outlines
+            .filter(outline => shape.stroke || outline.always)
+            .forEach(outline => {
+                ctx.beginPath();
+                outline.points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+                if (outline.closed) ctx.closePath();
+                ctx.stroke();
+            });
+        
+        this.requestRender();
+    }
+    
+    // Background
+    setBackground(type, color) {
+        if (!BACKGROUND_TYPES.includes(type)) return;
+        
+        this.background = {
+            type,
+            color: color ? WebGLUtils.hexToRgb(color) : this.background.color
+        };
+        this.requestRender();
+    }
+    
+    getBackground() {
+        return this.background;
+    }
+    
+    // Paper has no grain texture here and shows as its colour
+    drawBackground(ctx, forDisplay) {
+        const background = this.background;
+        const { width, height } = this.canvas;
+        
+        if (background.type !== 'transparent') {
+            const color = background.color;
+            ctx.fillStyle = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+            ctx.fillRect(0, 0, width, height);
+        } else if (forDisplay) {
+            // The checkerboard only marks transparency on screen
+            ctx.fillStyle = this.getCheckerPattern(ctx);
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+    
+    getCheckerPattern(ctx) {
+        if (!this.checkerPattern) {
+            const tile = this.createCanvas(CHECKER_TILE_SIZE, CHECKER_TILE_SIZE);
+            const tileCtx = tile.getContext('2d');
+            const cell = CHECKER_TILE_SIZE / 2;
+            tileCtx.fillStyle = CHECKER_COLORS[0];
+            tileCtx.fillRect(0, 0, CHECKER_TILE_SIZE, CHECKER_TILE_SIZE);
+            tileCtx.fillStyle = CHECKER_COLORS[1];
+            tileCtx.fillRect(cell, 0, cell, cell);
+            tileCtx.fillRect(0, cell, cell, cell);
+            this.checkerPattern = ctx.createPattern(tile, 'repeat');
+        }
+        return this.checkerPattern;
+    }
+    
+    // Rendering
+    requestRender() {
+        if (this.renderPending) return;
+        
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.renderToScreen();
+        });
+    }
+    
+    renderToScreen() {
+        const start = performance.now();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = `rgb(${PASTEBOARD_COLOR.r * 255}, ${PASTEBOARD_COLOR.g * 255}, ${PASTEBOARD_COLOR.b * 255})`;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Document space through the view transform
+        const m = this.viewport.getMatrix();
+        ctx.setTransform(m[0], m[1], m[3], m[4], m[6], m[7]);
+        this.drawBackground(ctx, true);
+        this.drawDocument(ctx);
+        
+        // The stroke or shape still being drawn
+        if (this.isDrawing && this.strokeOpacity !== null) {
+            ctx.globalAlpha = this.strokeOpacity;
+            ctx.drawImage(this.strokeCanvas, 0, 0);
+            ctx.globalAlpha = 1;
+        }
+        if (this.predictedPoints.length > 1) {
+            this.drawPrediction(ctx);
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        const stats = this.stats;
+        stats.frames++;
+        stats.lastFrameMs = performance.now() - start;
+        stats.avgFrameMs = stats.avgFrameMs * 0.9 + stats.lastFrameMs * 0.1;
+        
+        if (this.onRender) {
+            this.onRender();
+        }
+    }
+    
+    drawPrediction(ctx) {
+        const color = this.currentColor;
+        const brush = this.strokeBrush;
+        const points = this.predictedPoints;
+        
+        ctx.save();
+        ctx.globalAlpha = color.a * (brush.mode === 'ribbon' ? brush.opacity : brush.flow);
+        ctx.strokeStyle = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+        ctx.lineWidth = this.getBrushRadius(points[points.length - 1].pressure) * 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    // Every dab is drawn as it comes, there is no batch to compare against
+    setDabBatching() {}
+    
+    getPerformanceStats() {
+        return { ...this.stats, backend: this.backend };
+    }
+    
+    getViewport() {
+        return this.viewport;
+    }
+    
+    screenToDocument(x, y) {
+        return this.viewport.screenToDocument(x, y);
+    }
+    
+    clear() {
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        
+        // Keep the current drawing so the clear can be undone
+        this.recordHistory();
+        const origin = this.backingOrigin;
+        this.documentCtx.clearRect(-origin.x, -origin.y, this.documentCanvas.width, this.documentCanvas.height);
+        this.renderToScreen();
+        console.log('✅ Canvas cleared');
+    }
+    
+    // History - each entry holds the pixels from before the change and swaps
+    // them with the live drawing, so one entry serves both undo and redo
+    recordHistory() {
+        const { width, height } = this.documentCanvas;
+        this.history.push({ image: this.documentCtx.getImageData(0, 0, width, height) });
+    }
+    
+    restoreSnapshot(entry) {
+        const { width, height } = this.documentCanvas;
+        const current = this.documentCtx.getImageData(0, 0, width, height);
+        this.documentCtx.putImageData(entry.image, 0, 0);
+        entry.image = current;
+        this.renderToScreen();
+    }
+    
+    undo() {
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        
+        const entry = this.history.undo();
+        if (!entry) return false;
+        
+        this.restoreSnapshot(entry);
+        return true;
+    }
+    
+    redo() {
+        if (this.isDrawing) return false;
+        
+        const entry = this.history.redo();
+        if (!entry) return false;
+        
+        this.restoreSnapshot(entry);
+        return true;
+    }
+    
+    canUndo() {
+        return this.history.canUndo();
+    }
+    
+    canRedo() {
+        return this.history.canRedo();
+    }
+    
+    // The fallback's document is the canvas rectangle
+    getDocumentBounds() {
+        return { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    }
+    
+    // Flattened document as straight-alpha RGBA rows, top row first
+    getImageData() {
+        return this.readCompositePixels(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    // Drawing over the background (without the checkerboard) for a
+    // document-space rectangle; pixels outside the canvas read as transparent
+    readCompositePixels(x, y, width, height) {
+        const composite = this.createCanvas();
+        const ctx = composite.getContext('2d');
+        this.drawBackground(ctx, false);
+        this.drawDocument(ctx);
+        return ctx.getImageData(x, y, width, height).data;
+    }
+    
+    // The part of the drawing canvas inside the document
+    drawDocument(ctx) {
+        const { x, y } = this.backingOrigin;
+        const { width, height } = this.canvas;
+        ctx.drawImage(this.documentCanvas, x, y, width, height, 0, 0, width, height);
+    }
+    
+    // Average colour of the size x size block around a document point,
+    // or null where nothing has been painted
+    sampleColor(x, y, size = 1) {
+        const half = Math.floor(size / 2);
+        const pixels = this.readCompositePixels(Math.floor(x) - half, Math.floor(y) - half, size, size);
+        return WebGLUtils.averageColor(pixels, size, 0, 0, size);
+    }
+}
@@ -1,4 +1,13 @@
 // GPU-accelerated drawing engine with smooth stroke rendering
+const BACKGROUND_TYPES = ['transparent', 'solid', 'paper']; // document backgrounds beneath all layers
+const BACKGROUND_TILE_SIZE = 256;
+const CHECKER_TILE_SIZE = 16;
+const PASTE_OFFSET = 20; // pasted selections land this far from the copied one
+const BACKUP_DELAY = 2000; // ms of quiet before the layers are copied to the CPU
+const DOCUMENT_GROW_STEP = 512; // the document grows by whole steps, which keeps background tiles aligned
+const DOCUMENT_MAX_SIZE = 8192; // px a side, or less where the GPU's textures are smaller
+const STAMP_ATTRIBUTES = ['corner', 'center', 'radius', 'color', 'hardness', 'angle', 'roundness', 'grain'];
+
 class DrawingEngine {
     constructor(canvas) {
         this.canvas = canvas;
@@ -8,6 +17,7 @@ class DrawingEngine {
             throw new Error('WebGL not supported');
         }
         
+        this.backend = 'webgl'; // see Canvas2DEngine for browsers without it
         this.currentTool = 'pen';
         this.currentColor = { r: 0, g: 0, b: 0, a: 1 };
         this.brushSize = 5;
@@ -15,13 +25,144 @@ class DrawingEngine {
         this.lastPoint = null;
         this.pressure = 1.0;
         
-        // Stroke smoothing - reduced for better responsiveness
+        // Stroke smoothing - user-selectable strength (0 = raw input, 1 = heaviest)
         this.strokePoints = [];
-        this.smoothingFactor = 0.1;
+        this.smoothing = 0.3;
+        
+        // View camera - strokes live in document space, the viewport maps it to the screen
+        this.viewport = new Viewport();
+        this.viewport.onChange = (viewport) => {
+            this.requestRender();
+            if (this.onViewChange) {
+                this.onViewChange(viewport);
+            }
+        };
+        this.onViewChange = null;
+        
+        // Document background beneath all layers: transparent, solid or paper
+        this.background = { type: 'solid', color: { r: 1, g: 1, b: 1 } };
+        
+        // The document has no edges: the layers start at the canvas size and
+        // grow wherever the drawing goes. Resizing the canvas keeps the drawing
+        // where the anchor says and never crops it
+        this.resizeAnchor = 'top-left';
+        this.canvasSize = { width: canvas.width, height: canvas.height };
+        
+        // Brush presets - tip shape, spacing, flow and jitter for every dab
+        this.brushes = new BrushEngine();
+        this.strokeBrush = null;
+        
+        // Spline interpolation between samples, dabs spaced by arc length
+        this.interpolator = new StrokeInterpolator({
+            spacing: (pressure) => this.getDabSpacing(this.getBrushRadius(pressure))
+        });
+        
+        // 'stamp' draws circle dabs, 'ribbon' tessellates the stroke into a
+        // variable-width triangle strip with uniform opacity - chosen per brush
+        this.activeStrokeMode = 'stamp';
+        this.ribbonPoints = [];
+        this.ribbonDirty = false;
+        this.ribbonOpacity = 1.0;
+        
+        // Predicted pointer positions drawn ahead of the stroke, replaced by the next real sample
+        this.predictedPoints = [];
+        this.predictionDirty = false;
+        
+        // Shape tools preview a rubber-band shape in the same stroke buffer
+        this.activeShape = null;
+        this.shapeDirty = false;
+        this.constrainShapes = false;
+        this.shapeOptions = { stroke: true, fill: false, fillColor: null, sides: 5 };
+        
+        // Snap to shape swaps a rough freehand circle, box, line... for a
+        // clean shape when the stroke ends; the last swap can be reverted
+        this.snapToShape = false;
+        this.shapeRecognizer = new ShapeRecognizer();
+        this.lastSnap = null;
+        this.onShapeSnapped = null;
+        
+        // Mirror and kaleidoscope symmetry - each stroke records its settings
+        // and repeats its dabs, ribbon or shape through their transforms
+        this.symmetry = new Symmetry();
+        this.symmetryTransforms = [SYMMETRY_IDENTITY];
+        this.onSymmetryChange = null;
+        
+        // Grid and ruler guides - drawn as an overlay, snapping in continueStroke()
+        this.guides = new Guides();
+        
+        // Bucket fills read the composited image, then paint the active layer
+        this.fillOptions = { ...FILL_DEFAULTS };
+        
+        // Selections lift pixels of a layer into a floating texture that can be
+        // moved, scaled, rotated and flipped until it is committed back
+        this.selection = new SelectionTool();
+        this.selecting = false; // pointer is drawing a selection or dragging a handle
+        this.clipboard = null;
+        this.onSelectionChange = null;
+        this.onRender = null; // draw overlays after each frame
+        
+        // Text stays an editable object in the document until it is flattened;
+        // the app opens a text box when the text tool is used on the canvas
+        this.textOptions = { ...TEXT_DEFAULTS };
+        this.textEdit = null; // text object taken out of the drawing while it is edited
+        this.onTextRequest = null;
+        
+        // Every committed stroke is kept so the raster can be re-rendered
+        this.document = new StrokeDocument();
+        this.currentStroke = null;
+        this.strokeLayer = null; // layer the current stroke renders into
+        this.continuingGesture = false; // a tool change is restarting the stroke
+        this.mergeSources = null; // merged-down layers being replayed, by id
+        this.onLayersChange = null;
+        
+        // Dabs are queued and drawn in one batch per animation frame. With
+        // batching off every dab is drawn and presented on its own, as before
+        // batching, so getPerformanceStats() has a baseline to compare with
+        this.dabQueue = [];
+        this.dabBatching = true;
+        this.renderPending = false;
+        this.stats = {
+            frames: 0,
+            lastFrameMs: 0,
+            avgFrameMs: 0,
+            lastFrameDabs: 0,
+            lastFrameDrawCalls: 0,
+            lastFrameCompositePasses: 0,
+            lastFramePresentPasses: 0, // full-screen passes of per-dab presents
+            lastFlushMs: 0, // CPU time spent submitting the frame's dabs
+            avgFlushMs: 0,
+            totalDabs: 0,
+            // Averages over frames that drew dabs, kept apart for each path
+            batched: null,
+            baseline: null
+        };
         
         this.initWebGL();
         this.setupBuffers();
         this.clear();
+        
+        // Undo/redo - created after the initial clear so it isn't recorded
+        this.history = new HistoryManager({
+            limit: 30,
+            onDiscard: (entry) => this.disposeSnapshot(entry),
+            onChange: (canUndo, canRedo) => {
+                this.scheduleBackup();
+                if (this.onHistoryChange) {
+                    this.onHistoryChange(canUndo, canRedo);
+                }
+            }
+        });
+        this.onHistoryChange = null;
+        
+        // A lost GPU context (mobile, or the camera competing for the GPU) is
+        // rebuilt from a CPU copy of the layers and the strokes drawn since
+        this.contextLost = false;
+        this.backup = null;
+        this.backupTimeout = null;
+        this.backupStale = new Set(); // ids of layers changed since the backup
+        this.onContextLost = null;
+        this.onContextRestored = null;
+        this.setupContextLossHandling();
     }
     
     initWebGL() {
@@ -30,23 +171,25 @@ class DrawingEngine {
         // Create shaders
         const vertexShader = WebGLUtils.createShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
         const fragmentShader = WebGLUtils.createShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER_SOURCE);
-        const brushFragmentShader = WebGLUtils.createShader(gl, gl.FRAGMENT_SHADER, BRUSH_FRAGMENT_SHADER);
-        const eraserFragmentShader = WebGLUtils.createShader(gl, gl.FRAGMENT_SHADER, ERASER_FRAGMENT_SHADER);
+        const stampVertexShader = WebGLUtils.createShader(gl, gl.VERTEX_SHADER, STAMP_VERTEX_SHADER);
+        const stampFragmentShader = WebGLUtils.createShader(gl, gl.FRAGMENT_SHADER, STAMP_FRAGMENT_SHADER);
+        const ribbonVertexShader = WebGLUtils.createShader(gl, gl.VERTEX_SHADER, RIBBON_VERTEX_SHADER);
+        const ribbonFragmentShader = WebGLUtils.createShader(gl, gl.FRAGMENT_SHADER, RIBBON_FRAGMENT_SHADER);
         
         // Create programs
         this.mainProgram = WebGLUtils.createProgram(gl, vertexShader, fragmentShader);
-        this.brushProgram = WebGLUtils.createProgram(gl, vertexShader, brushFragmentShader);
-        this.eraserProgram = WebGLUtils.createProgram(gl, vertexShader, eraserFragmentShader);
+        this.stampProgram = WebGLUtils.createProgram(gl, stampVertexShader, stampFragmentShader);
+        this.ribbonProgram = WebGLUtils.createProgram(gl, ribbonVertexShader, ribbonFragmentShader);
         
         // Get uniform and attribute locations
         this.setupProgramLocations();
         
-        // Create textures and framebuffers for double buffering
+        // Create the layer stack and the composite target
         this.setupRenderTargets();
         
-        // Enable blending for smooth strokes
+        // Enable blending for smooth strokes - layers hold premultiplied alpha
         gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
         
         // Optimize for performance
         gl.hint(gl.FRAGMENT_SHADER_DERIVATIVE_HINT, gl.FASTEST);
@@ -66,48 +209,64 @@ class DrawingEngine {
             transform: gl.getUniformLocation(this.mainProgram, 'u_transform'),
             texture: gl.getUniformLocation(this.mainProgram, 'u_texture'),
             color: gl.getUniformLocation(this.mainProgram, 'u_color'),
-            alpha: gl.getUniformLocation(this.mainProgram, 'u_alpha')
+            alpha: gl.getUniformLocation(this.mainProgram, 'u_alpha'),
+            texScale: gl.getUniformLocation(this.mainProgram, 'u_texScale')
         };
         
-        // Brush program locations
-        this.brushLocations = {
-            position: gl.getAttribLocation(this.brushProgram, 'a_position'),
-            center: gl.getUniformLocation(this.brushProgram, 'u_center'),
-            radius: gl.getUniformLocation(this.brushProgram, 'u_radius'),
-            color: gl.getUniformLocation(this.brushProgram, 'u_color'),
-            resolution: gl.getUniformLocation(this.brushProgram, 'u_resolution')
+        // Stamp program locations - brush and eraser dabs share it
+        this.stampLocations = {
+            corner: gl.getAttribLocation(this.stampProgram, 'a_corner'),
+            center: gl.getAttribLocation(this.stampProgram, 'a_center'),
+            radius: gl.getAttribLocation(this.stampProgram, 'a_radius'),
+            color: gl.getAttribLocation(this.stampProgram, 'a_color'),
+            hardness: gl.getAttribLocation(this.stampProgram, 'a_hardness'),
+            angle: gl.getAttribLocation(this.stampProgram, 'a_angle'),
+            roundness: gl.getAttribLocation(this.stampProgram, 'a_roundness'),
+            grain: gl.getAttribLocation(this.stampProgram, 'a_grain'),
+            resolution: gl.getUniformLocation(this.stampProgram, 'u_resolution'),
+            origin: gl.getUniformLocation(this.stampProgram, 'u_origin'),
+            grainTexture: gl.getUniformLocation(this.stampProgram, 'u_grain'),
+            grainSize: gl.getUniformLocation(this.stampProgram, 'u_grainSize')
         };
         
-        // Eraser program locations
-        this.eraserLocations = {
-            position: gl.getAttribLocation(this.eraserProgram, 'a_position'),
-            center: gl.getUniformLocation(this.eraserProgram, 'u_center'),
-            radius: gl.getUniformLocation(this.eraserProgram, 'u_radius'),
-            resolution: gl.getUniformLocation(this.eraserProgram, 'u_resolution')
+        // Ribbon program locations
+        this.ribbonLocations = {
+            position: gl.getAttribLocation(this.ribbonProgram, 'a_position'),
+            offset: gl.getAttribLocation(this.ribbonProgram, 'a_offset'),
+            halfWidth: gl.getAttribLocation(this.ribbonProgram, 'a_halfWidth'),
+            color: gl.getUniformLocation(this.ribbonProgram, 'u_color'),
+            resolution: gl.getUniformLocation(this.ribbonProgram, 'u_resolution'),
+            origin: gl.getUniformLocation(this.ribbonProgram, 'u_origin')
         };
     }
     
     setupRenderTargets() {
         const gl = this.gl;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
         
-        // Create textures for double buffering
-        this.frontTexture = WebGLUtils.createTexture(gl, width, height);
-        this.backTexture = WebGLUtils.createTexture(gl, width, height);
-        
-        // Create framebuffers
-        this.frontFramebuffer = WebGLUtils.createFramebuffer(gl, this.frontTexture);
-        this.backFramebuffer = WebGLUtils.createFramebuffer(gl, this.backTexture);
+        if (!this.layerStack) {
+            // Start with a single layer above the document background
+            this.layerStack = new LayerStack(gl, this.canvas.width, this.canvas.height);
+            this.layerStack.addLayer('Background');
+        }
+        const { width, height } = this.layerStack;
         
-        // Initialize with white background
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.frontFramebuffer);
-        gl.clearColor(1.0, 1.0, 1.0, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT);
+        // Offscreen target the layers are flattened into for readback
+        if (this.compositeTexture) {
+            gl.deleteFramebuffer(this.compositeFramebuffer);
+            gl.deleteTexture(this.compositeTexture);
+        }
+        this.compositeTexture = WebGLUtils.createTexture(gl, width, height);
+        this.compositeFramebuffer = WebGLUtils.createFramebuffer(gl, this.compositeTexture);
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.backFramebuffer);
-        gl.clearColor(1.0, 1.0, 1.0, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT);
+        // Scratch target ribbon strokes are built in before they join their layer
+        if (this.strokeTexture) {
+            gl.deleteFramebuffer(this.strokeFramebuffer);
+            gl.deleteTexture(this.strokeTexture);
+        }
+        this.strokeTexture = WebGLUtils.createTexture(gl, width, height);
+        this.strokeFramebuffer = WebGLUtils.createFramebuffer(gl, this.strokeTexture);
+        this.strokeTarget = { framebuffer: this.strokeFramebuffer };
+        this.clearStrokeBuffer();
         
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
@@ -125,27 +284,187 @@ class DrawingEngine {
         
         this.quadBuffer = WebGLUtils.createBuffer(gl, vertices);
         
-        // Circle vertices for brush rendering
-        const circleVertices = [];
-        const segments = 32;
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            circleVertices.push(Math.cos(angle), Math.sin(angle));
-        }
+        // Dynamic buffer for batched dab quads, refilled every frame
+        this.dabBuffer = gl.createBuffer();
+        this.dabVertices = new Float32Array(DAB_FLOATS_PER_VERTEX * 6 * 256);
+        
+        // Dynamic buffer for ribbon triangle strips
+        this.ribbonBuffer = gl.createBuffer();
         
-        this.circleBuffer = WebGLUtils.createBuffer(gl, circleVertices);
+        // Tiling paper grain sampled by grainy brushes
+        this.grainTexture = WebGLUtils.createNoiseTexture(gl, GRAIN_TEXTURE_SIZE);
+        
+        // Tiles for the paper background and the transparency checkerboard
+        this.paperTexture = WebGLUtils.createPaperTexture(gl, BACKGROUND_TILE_SIZE);
+        this.checkerTexture = WebGLUtils.createCheckerTexture(gl, CHECKER_TILE_SIZE, CHECKER_TILE_SIZE / 2);
     }
     
     resize() {
-        if (WebGLUtils.resizeCanvas(this.canvas)) {
-            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-            this.setupRenderTargets();
-            console.log(`Canvas resized to: ${this.canvas.width}x${this.canvas.height}`);
+        WebGLUtils.resizeCanvas(this.canvas);
+        
+        // The canvas may already have been resized by the app, so compare
+        // against the size the engine last saw
+        const { width, height } = this.canvas;
+        const previous = this.canvasSize;
+        if (width === previous.width && height === previous.height) return;
+        
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        this.flushDabs();
+        
+        // Snapshots would no longer line up with the moved strokes
+        this.history.clear();
+        this.canvasSize = { width, height };
+        this.gl.viewport(0, 0, width, height);
+        
+        // Moving the layers' origin moves the pixels with the strokes
+        const [ax, ay] = RESIZE_ANCHORS[this.resizeAnchor];
+        const offset = {
+            x: Math.round((width - previous.width) * ax),
+            y: Math.round((height - previous.height) * ay)
+        };
+        this.layerStack.origin.x += offset.x;
+        this.layerStack.origin.y += offset.y;
+        this.document.translate(offset.x, offset.y);
+        if (this.symmetry.center) {
+            this.symmetry.center.x += offset.x;
+            this.symmetry.center.y += offset.y;
+        }
+        if (this.guides.ruler.x !== null) {
+            this.guides.ruler.x += offset.x;
+            this.guides.ruler.y += offset.y;
+        }
+        
+        // The document still fills the whole canvas
+        this.extendDocument(0, 0, width, height);
+        this.renderToScreen();
+        console.log(`Canvas resized to: ${width}x${height} (anchor ${this.resizeAnchor})`);
+    }
+    
+    setResizeAnchor(anchor) {
+        if (RESIZE_ANCHORS[anchor]) {
+            this.resizeAnchor = anchor;
+        }
+    }
+    
+    // Document area the layers cover, in document coordinates
+    getDocumentBounds() {
+        const { origin, width, height } = this.layerStack;
+        return { x: origin.x, y: origin.y, width, height };
+    }
+    
+    // Grows the layers, and everything else of their size, to take in a
+    // document rectangle. Growth goes in whole steps so a stroke heading off
+    // the edge doesn't regrow them on every dab, and stops at the size limit
+    extendDocument(left, top, right, bottom) {
+        const stack = this.layerStack;
+        if (stack.contains(left, top, right, bottom)) return false;
+        
+        const step = DOCUMENT_GROW_STEP;
+        const limit = Math.min(DOCUMENT_MAX_SIZE, this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE));
+        const current = { left: stack.origin.x, top: stack.origin.y, right: stack.origin.x + stack.width, bottom: stack.origin.y + stack.height };
+        const grown = {
+            left: current.left - Math.max(0, Math.ceil((current.left - left) / step) * step),
+            top: current.top - Math.max(0, Math.ceil((current.top - top) / step) * step),
+            right: current.right + Math.max(0, Math.ceil((right - current.right) / step) * step),
+            bottom: current.bottom + Math.max(0, Math.ceil((bottom - current.bottom) / step) * step)
+        };
+        
+        // At the limit only the side being drawn towards grows, as far as it can
+        grown.left = Math.max(grown.left, Math.min(current.left, grown.right - limit));
+        grown.right = Math.min(grown.right, Math.max(current.right, grown.left + limit));
+        grown.top = Math.max(grown.top, Math.min(current.top, grown.bottom - limit));
+        grown.bottom = Math.min(grown.bottom, Math.max(current.bottom, grown.top + limit));
+        
+        // Queued dabs go into the layers as they are
+        this.flushDabs();
+        if (!stack.cover(grown.left, grown.top, grown.right, grown.bottom, this.getDocumentTargets())) {
+            return false;
+        }
+        
+        // The composite and stroke buffer are rebuilt at the new size
+        this.setupRenderTargets();
+        this.ribbonDirty = this.ribbonPoints.length > 0;
+        this.predictionDirty = this.predictedPoints.length > 0;
+        this.shapeDirty = !!this.activeShape;
+        this.requestRender();
+        
+        console.log(`📐 Document grown to ${stack.width}x${stack.height}`);
+        return true;
+    }
+    
+    // Targets outside the layer stack holding pixels of the document:
+    // undo snapshots, layers kept for undo, lifted pixels, merges being replayed
+    getDocumentTargets() {
+        const targets = [];
+        const add = (target) => {
+            if (target && !targets.includes(target) && !this.layerStack.layers.includes(target)) {
+                targets.push(target);
+            }
+        };
+        
+        if (this.history) {
+            [...this.history.undoStack, ...this.history.redoStack].forEach(entry => {
+                entry.layers.forEach(add);
+                if (entry.stack) {
+                    entry.stack.layers.forEach(add);
+                }
+            });
+        }
+        add(this.selection.floating);
+        if (this.mergeSources) {
+            this.mergeSources.forEach(add);
+        }
+        return targets;
+    }
+    
+    // Grows the document under a set of document points, padded by a radius,
+    // wherever symmetry repeats them
+    extendDocumentAround(points, radius) {
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        this.symmetryTransforms.forEach(matrix => {
+            points.forEach(point => {
+                const { x, y } = Symmetry.transformPoint(matrix, point.x, point.y);
+                left = Math.min(left, x);
+                top = Math.min(top, y);
+                right = Math.max(right, x);
+                bottom = Math.max(bottom, y);
+            });
+        });
+        
+        if (left <= right) {
+            this.extendDocument(Math.floor(left - radius), Math.floor(top - radius), Math.ceil(right + radius), Math.ceil(bottom + radius));
         }
     }
     
+    // Every tool is available with WebGL
+    supportsTool(tool) {
+        return true;
+    }
+    
     setTool(tool) {
+        // Other tools drop a floating selection where it is
+        if (!SelectionTool.isSelectionTool(tool)) {
+            this.commitSelection();
+        }
+        
+        // A stroke keeps the tool it started with, so switching mid-stroke
+        // ends it and a pen or eraser carries on as a new stroke from there.
+        // Both stay one gesture: the history entry taken when it started
+        // covers the new stroke too, so undo or cancel takes back the lot
+        const stroke = this.isDrawing && tool !== this.currentTool ? this.currentStroke : null;
+        const point = this.lastPoint;
+        if (stroke) {
+            this.endStroke(false);
+        }
         this.currentTool = tool;
+        if (stroke && point && (tool === 'pen' || tool === 'eraser')) {
+            this.continuingGesture = true;
+            this.startStroke(point.x, point.y, this.pressure, stroke.source);
+            this.continuingGesture = false;
+        }
     }
     
     setColor(color) {
@@ -157,207 +476,2334 @@ class DrawingEngine {
         this.brushSize = size;
     }
     
+    setSmoothing(strength) {
+        this.smoothing = Math.max(0, Math.min(1, strength));
+    }
+    
+    getDabSpacing(radius) {
+        return this.brushes.getSpacing(this.strokeBrush || this.getBrush(), radius);
+    }
+    
+    getBrushRadius(pressure) {
+        const brush = this.strokeBrush || this.getBrush();
+        return this.brushSize * (brush.pressureSize ? pressure : 1);
+    }
+    
+    // Brushes
+    getBrushes() {
+        return this.brushes.getBrushes();
+    }
+    
+    getBrush() {
+        return this.brushes.getCurrentBrush();
+    }
+    
+    setBrush(id) {
+        return this.brushes.setBrush(id);
+    }
+    
+    nextBrush() {
+        return this.brushes.nextBrush();
+    }
+    
+    setStrokeMode(mode) {
+        // The renderer is remembered per brush
+        this.getBrush().mode = mode === 'ribbon' ? 'ribbon' : 'stamp';
+    }
+    
     setPressure(pressure) {
         this.pressure = Math.max(0.1, Math.min(1.0, pressure));
     }
     
-    startStroke(x, y, pressure = 1.0) {
+    // pen is { tiltX, tiltY, twist } from a stylus, null for other input
+    startStroke(x, y, pressure = 1.0, source = 'unknown', pen = null, time = Date.now()) {
         console.log(`Starting stroke at: ${x.toFixed(1)}, ${y.toFixed(1)} with pressure: ${pressure}`);
         
+        // The eyedropper samples colours and never paints
+        if (this.currentTool === 'eyedropper') return;
+        
+        // After "set centre" the next press moves the symmetry centre instead
+        if (this.symmetry.placingCenter) {
+            this.setSymmetryCenter(x, y);
+            return;
+        }
+        
+        if (this.rulerPointerDown(x, y)) return;
+        if (this.selectionPointerDown(x, y, source)) return;
+        
+        const layer = this.layerStack.getActiveLayer();
+        if (layer.locked || !layer.visible) {
+            console.warn(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - stroke ignored`);
+            return;
+        }
+        
+        if (this.currentTool === 'bucket') {
+            this.fillAt(x, y, source);
+            return;
+        }
+        
+        if (this.currentTool === 'text') {
+            if (this.onTextRequest) {
+                this.onTextRequest(x, y, source);
+            }
+            return;
+        }
+        
+        ({ x, y } = this.guides.beginStroke(x, y, this.viewport.zoom));
+        
+        // Remember the layer as it was before this stroke, or before the
+        // gesture it carries on
+        if (!this.continuingGesture) {
+            this.recordHistory([layer]);
+        }
+        
+        this.strokeLayer = layer;
         this.isDrawing = true;
+        
+        const symmetry = this.symmetry.getSettings(this.canvas.width, this.canvas.height);
+        this.symmetryTransforms = Symmetry.getTransforms(symmetry);
+        
+        if (this.isShapeTool()) {
+            this.startShape(x, y);
+            this.currentStroke = this.document.createStroke({
+                tool: this.currentTool,
+                color: this.currentColor,
+                size: this.brushSize,
+                source,
+                layerId: layer.id,
+                mode: 'shape',
+                shape: this.activeShape,
+                symmetry
+            });
+            return;
+        }
+        
+        this.beginBrush(this.currentTool === 'eraser' ? ERASER_BRUSH : this.getBrush(), Math.floor(Math.random() * 0xFFFFFFFF));
         this.lastPoint = { x, y };
         this.strokePoints = [{ x, y, pressure }];
         this.setPressure(pressure);
         
+        this.currentStroke = this.document.createStroke({
+            tool: this.currentTool,
+            color: this.currentColor,
+            size: this.brushSize,
+            source,
+            layerId: layer.id,
+            mode: this.activeStrokeMode,
+            brush: this.strokeBrush,
+            seed: this.brushes.seed,
+            symmetry
+        });
+        this.document.addPoint(this.currentStroke, x, y, this.pressure, pen, time);
+        
         // Draw initial point
-        this.drawPoint(x, y);
+        this.interpolator.reset();
+        this.drawDabs(this.interpolator.addPoint({ x, y, pressure: this.pressure, ...pen }));
     }
     
-    continueStroke(x, y, pressure = 1.0) {
+    continueStroke(x, y, pressure = 1.0, pen = null, time = Date.now()) {
+        if (this.guides.drag) {
+            this.guides.updateDrag(x, y, this.constrainShapes);
+            this.requestRender();
+            return;
+        }
+        
+        if (this.selecting) {
+            this.selectionPointerMove(x, y);
+            return;
+        }
+        
         if (!this.isDrawing) return;
         
+        // Every input source snaps here, to the ruler edge or the grid
+        const snap = (point) => this.guides.snap(point.x, point.y, this.viewport.zoom);
+        
+        if (this.activeShape) {
+            const end = snap({ x, y });
+            this.updateShape(end.x, end.y);
+            return;
+        }
+        
         this.setPressure(pressure);
+        this.clearPrediction();
         
-        // Add point to stroke with smoothing
-        const smoothedPoint = this.smoothPoint(x, y);
+        // Add point to stroke with smoothing - snapped afterwards so it stays on the guide
+        const smoothedPoint = snap(this.smoothPoint(x, y));
         this.strokePoints.push({ ...smoothedPoint, pressure });
+        this.document.addPoint(this.currentStroke, smoothedPoint.x, smoothedPoint.y, this.pressure, pen, time);
         
-        // Draw line from last point to current point
-        if (this.lastPoint) {
-            this.drawLine(this.lastPoint.x, this.lastPoint.y, smoothedPoint.x, smoothedPoint.y);
-        }
+        // Draw the curve up to the previous sample
+        this.drawDabs(this.interpolator.addPoint({ ...smoothedPoint, pressure: this.pressure, ...pen }));
         
         this.lastPoint = smoothedPoint;
     }
     
-    endStroke() {
+    // Shows where the pointer is expected to go next ({ x, y, pressure } in
+    // document space) until the next real sample; never part of the drawing
+    predictStroke(points) {
+        // Erasing and stamped shapes can't be previewed without painting them
+        if (!this.isDrawing || this.activeShape || this.currentTool === 'eraser') return;
+        
+        // Smoothed and snapped like real samples, carrying on from the last one
+        let previous = this.strokePoints[this.strokePoints.length - 1];
+        const predicted = points.map(point => {
+            const smoothed = this.smoothPoint(point.x, point.y, previous);
+            previous = { ...point, ...this.guides.snap(smoothed.x, smoothed.y, this.viewport.zoom) };
+            return previous;
+        });
+        
+        // Joined on at the end of the drawn curve, which stops a sample short
+        this.predictedPoints = predicted.length > 0 ? [...this.interpolator.getPendingPoints(), ...predicted] : [];
+        this.predictionDirty = true;
+        this.requestRender();
+    }
+    
+    clearPrediction() {
+        if (this.predictedPoints.length === 0) return;
+        
+        this.predictedPoints = [];
+        this.predictionDirty = true;
+        this.requestRender();
+    }
+    
+    endStroke(recognize = true) {
+        if (this.guides.drag) {
+            this.guides.endDrag();
+            this.requestRender();
+            return;
+        }
+        
+        if (this.selecting) {
+            this.selectionPointerUp();
+            return;
+        }
+        
+        const stroke = this.isDrawing ? this.currentStroke : null;
+        this.clearPrediction();
+        
+        if (this.isDrawing) {
+            if (this.activeShape) {
+                this.finishShape();
+            } else {
+                // Finish the last curve segment
+                this.drawDabs(this.interpolator.finish());
+            }
+            this.commitStrokeBuffer();
+        }
+        
+        if (this.currentStroke) {
+            this.document.commit(this.currentStroke);
+            this.currentStroke = null;
+        }
+        
         this.isDrawing = false;
         this.lastPoint = null;
         this.strokePoints = [];
+        this.strokeLayer = null;
+        this.strokeBrush = null;
+        this.symmetryTransforms = [SYMMETRY_IDENTITY];
+        this.guides.endStroke();
+        
+        // A mirrored stroke would snap to a single shape, so it is left as drawn
+        if (recognize && stroke && this.snapToShape && !stroke.shape && !stroke.symmetry && stroke.tool !== 'eraser') {
+            this.snapStroke(stroke);
+        }
+    }
+    
+    // Throws the stroke in progress away, as if it was never drawn
+    cancelStroke() {
+        if (!this.isDrawing) {
+            // A selection or ruler drag puts back what it moved and lets go
+            if (this.selecting) {
+                this.cancelSelectionDrag();
+            } else if (this.guides.drag) {
+                this.guides.cancelDrag();
+                this.requestRender();
+            }
+            return false;
+        }
         
-        // Swap buffers for next stroke
-        this.swapBuffers();
+        this.endStroke(false);
+        this.restoreSnapshot(this.history.undoStack[this.history.undoStack.length - 1]);
+        this.history.cancel();
+        console.log('↩️ Stroke cancelled');
+        return true;
+    }
+    
+    // Draws the strokes and moves the view that the gesture recognisers publish
+    connectGestureEvents(events) {
+        events.on('strokeStart', (e) => {
+            // A camera pinch picks up the floating selection instead of drawing
+            if (e.gesture === 'pinch') {
+                this.grabSelection(e.x, e.y);
+            } else {
+                this.startStroke(e.x, e.y, e.pressure, e.source, e.pen, e.time);
+            }
+        });
+        events.on('strokeMove', (e) => this.continueStroke(e.x, e.y, e.pressure, e.pen, e.time));
+        events.on('strokePredict', (e) => this.predictStroke(e.points));
+        events.on('strokeEnd', (e) => e.cancelled ? this.cancelStroke() : this.endStroke());
+        events.on('constrainChanged', (e) => this.setConstrain(e.constrain));
+        events.on('toolChange', (e) => this.setTool(e.tool));
+        events.on('pinch', (e) => {
+            if (e.phase === 'move') {
+                this.moveView(e);
+            }
+        });
+        events.on('navigate', (e) => this.moveView(e));
+        events.on('doubleTap', (e) => {
+            if (e.fingers !== 2) return;
+            
+            this.getViewport().reset();
+            console.log('🔍 View reset');
+        });
+    }
+    
+    // Pinches, the wheel and space-drag all move the view by screen-space deltas
+    moveView({ x, y, dx, dy, scale, rotation }) {
+        const viewport = this.getViewport();
+        viewport.panBy(dx, dy);
+        viewport.zoomAt(scale, x, y);
+        viewport.rotateBy(rotation, x, y);
     }
     
-    smoothPoint(x, y) {
-        if (this.strokePoints.length < 2) {
+    smoothPoint(x, y, lastPoint = this.strokePoints[this.strokePoints.length - 1]) {
+        if (this.strokePoints.length < 2 || this.smoothing === 0) {
             return { x, y };
         }
         
-        const lastPoint = this.strokePoints[this.strokePoints.length - 1];
-        const smoothX = lastPoint.x + (x - lastPoint.x) * this.smoothingFactor;
-        const smoothY = lastPoint.y + (y - lastPoint.y) * this.smoothingFactor;
+        // Exponential moving average - even the strongest setting keeps
+        // 15% of each new sample so the stroke never stalls behind the cursor
+        const factor = 1 - this.smoothing * 0.85;
+        const smoothX = lastPoint.x + (x - lastPoint.x) * factor;
+        const smoothY = lastPoint.y + (y - lastPoint.y) * factor;
         
         return { x: smoothX, y: smoothY };
     }
     
-    drawPoint(x, y) {
-        const gl = this.gl;
-        
-        // Validate coordinates
-        if (isNaN(x) || isNaN(y) || x < 0 || y < 0 || x > this.canvas.width || y > this.canvas.height) {
-            console.warn(`Invalid coordinates: ${x}, ${y}`);
+    drawDabs(dabs) {
+        if (this.activeStrokeMode === 'ribbon') {
+            this.addRibbonPoints(dabs);
             return;
         }
         
-        const program = this.currentTool === 'eraser' ? this.eraserProgram : this.brushProgram;
-        const locations = this.currentTool === 'eraser' ? this.eraserLocations : this.brushLocations;
+        // Dabs from pen samples carry tilt and twist for the tip
+        dabs.forEach(dab => this.drawPoint(dab.x, dab.y, dab.pressure, dab));
+    }
+    
+    beginBrush(brush, seed) {
+        // The stroke keeps its own copy so later brush edits leave it alone
+        this.strokeBrush = { ...brush };
+        this.brushes.beginStroke(seed);
+        this.beginStrokeMode(brush.mode);
+    }
+    
+    // Ribbon strokes
+    beginStrokeMode(mode) {
+        // Erasing at full strength never beads, so the eraser always stamps
+        this.activeStrokeMode = (mode === 'ribbon' && this.currentTool !== 'eraser') ? 'ribbon' : 'stamp';
+        this.ribbonPoints = [];
+        this.ribbonDirty = false;
+        this.ribbonOpacity = this.currentColor.a * (this.strokeBrush ? this.strokeBrush.opacity : 1);
+    }
+    
+    addRibbonPoints(points) {
+        if (points.length === 0) return;
         
-        // Render to back buffer
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.backFramebuffer);
-        gl.useProgram(program);
+        this.extendDocumentAround(points, this.getBrushRadius(1.0) + 2);
+        this.ribbonPoints.push(...points);
+        this.ribbonDirty = true;
+        this.requestRender();
+    }
+    
+    clearStrokeBuffer() {
+        const gl = this.gl;
         
-        // Copy front buffer to back buffer first
-        this.copyTexture(this.frontTexture, this.backFramebuffer);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.strokeFramebuffer);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    flushRibbon() {
+        if (this.activeStrokeMode === 'shape' || (!this.ribbonDirty && !this.predictionDirty)) return;
+        this.ribbonDirty = false;
+        this.predictionDirty = false;
         
-        // Set uniforms
-        gl.uniform2f(locations.center, x, this.canvas.height - y);
-        gl.uniform1f(locations.radius, this.brushSize * this.pressure);
-        gl.uniform2f(locations.resolution, this.canvas.width, this.canvas.height);
+        const gl = this.gl;
+        const color = this.currentColor;
         
-        if (this.currentTool !== 'eraser') {
-            const color = { ...this.currentColor, a: this.pressure };
-            gl.uniform4f(locations.color, color.r, color.g, color.b, color.a);
-        }
+        // The whole ribbon is rebuilt at full opacity; its opacity is applied
+        // once when the buffer is composited, so overlaps never darken.
+        // Stamped dabs can't be taken back, so a stamped stroke's prediction
+        // is drawn alone as a ribbon in the otherwise unused buffer
+        const points = [...this.ribbonPoints, ...this.predictedPoints];
+        this.clearStrokeBuffer();
         
-        // Draw circle
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.circleBuffer);
-        gl.enableVertexAttribArray(locations.position);
-        gl.vertexAttribPointer(locations.position, 2, gl.FLOAT, false, 0, 0);
+        // Symmetric copies share the buffer, so where they cross they don't darken either
+        this.symmetryTransforms.forEach(matrix => {
+            const copy = points.map(point => ({ ...point, ...Symmetry.transformPoint(matrix, point.x, point.y) }));
+            if (copy.length > 1) {
+                this.drawStrokeBufferVertices(this.tessellateRibbon(copy), color, gl.TRIANGLE_STRIP);
+            }
+            
+            // Round caps and joins are discs drawn into the same buffer
+            this.queueStrokeBufferDiscs(this.getRibbonDiscs(copy), color);
+        });
+        this.flushDabs();
+    }
+    
+    // Draws ribbon-program vertices (x, y, offset, halfWidth) into the stroke buffer
+    drawStrokeBufferVertices(vertices, color, primitive) {
+        const gl = this.gl;
+        const locations = this.ribbonLocations;
         
-        // Set blending mode
-        if (this.currentTool === 'eraser') {
-            gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
-        } else {
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.strokeFramebuffer);
+        gl.viewport(0, 0, this.layerStack.width, this.layerStack.height);
+        gl.useProgram(this.ribbonProgram);
+        gl.uniform2f(locations.resolution, this.layerStack.width, this.layerStack.height);
+        gl.uniform2f(locations.origin, this.layerStack.origin.x, this.layerStack.origin.y);
+        gl.uniform4f(locations.color, color.r, color.g, color.b, 1.0);
         
-        gl.drawArrays(gl.TRIANGLE_FAN, 0, 34);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.ribbonBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(locations.position);
+        gl.enableVertexAttribArray(locations.offset);
+        gl.enableVertexAttribArray(locations.halfWidth);
+        gl.vertexAttribPointer(locations.position, 2, gl.FLOAT, false, 16, 0);
+        gl.vertexAttribPointer(locations.offset, 1, gl.FLOAT, false, 16, 8);
+        gl.vertexAttribPointer(locations.halfWidth, 1, gl.FLOAT, false, 16, 12);
         
-        // Restore blending
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.drawArrays(primitive, 0, vertices.length / 4);
         
-        // Render to screen
-        this.renderToScreen();
+        gl.disableVertexAttribArray(locations.offset);
+        gl.disableVertexAttribArray(locations.halfWidth);
+    }
+    
+    queueStrokeBufferDiscs(points, color) {
+        points.forEach(point => {
+            this.dabQueue.push({
+                x: point.x,
+                y: point.y,
+                radius: this.getBrushRadius(point.pressure),
+                color: { r: color.r, g: color.g, b: color.b, a: 1.0 },
+                hardness: 1.0,
+                angle: 0,
+                roundness: 1.0,
+                grain: 0,
+                erase: false,
+                layer: this.strokeTarget
+            });
+        });
     }
     
-    drawLine(x1, y1, x2, y2) {
-        const distance = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-        const steps = Math.max(1, Math.floor(distance / 2));
+    tessellateRibbon(points) {
+        // Two vertices per centre-line point, offset along the averaged normal
+        const vertices = new Float32Array(points.length * 8);
+        let offset = 0;
         
-        for (let i = 0; i <= steps; i++) {
-            const t = i / steps;
-            const x = x1 + (x2 - x1) * t;
-            const y = y1 + (y2 - y1) * t;
-            this.drawPoint(x, y);
+        for (let i = 0; i < points.length; i++) {
+            const previous = points[Math.max(0, i - 1)];
+            const next = points[Math.min(points.length - 1, i + 1)];
+            const dx = next.x - previous.x;
+            const dy = next.y - previous.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const nx = -dy / length;
+            const ny = dx / length;
+            
+            // One extra pixel on each side leaves room for anti-aliasing
+            const halfWidth = this.getBrushRadius(points[i].pressure);
+            const extent = halfWidth + 1;
+            
+            for (const side of [-1, 1]) {
+                vertices[offset++] = points[i].x + nx * extent * side;
+                vertices[offset++] = points[i].y + ny * extent * side;
+                vertices[offset++] = extent * side;
+                vertices[offset++] = halfWidth;
+            }
         }
+        
+        return vertices;
     }
     
-    copyTexture(sourceTexture, targetFramebuffer) {
-        const gl = this.gl;
+    getRibbonDiscs(points) {
+        if (points.length === 0) return [];
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, targetFramebuffer);
-        gl.useProgram(this.mainProgram);
+        // Caps at both ends, joins wherever the strip turns noticeably
+        const discs = [points[0]];
+        for (let i = 1; i < points.length - 1; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const c = points[i + 1];
+            const turn = Math.abs(Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(b.y - a.y, b.x - a.x));
+            const angle = Math.min(turn, Math.PI * 2 - turn);
+            
+            if (angle > RIBBON_JOIN_ANGLE) {
+                discs.push(b);
+            }
+        }
+        discs.push(points[points.length - 1]);
         
-        // Bind source texture
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
-        gl.uniform1i(this.mainLocations.texture, 0);
+        return discs;
+    }
+    
+    // Merges a finished ribbon or shape into its layer with the stroke opacity
+    commitStrokeBuffer() {
+        if (this.activeStrokeMode === 'stamp' || !this.strokeLayer) return;
         
-        // Set uniforms
-        gl.uniform2f(this.mainLocations.resolution, this.canvas.width, this.canvas.height);
-        gl.uniform4f(this.mainLocations.color, 1, 1, 1, 1);
-        gl.uniform1f(this.mainLocations.alpha, 1);
+        const gl = this.gl;
+        if (this.activeStrokeMode === 'shape') {
+            this.shapeDirty = true;
+            this.flushShape();
+        } else {
+            this.ribbonDirty = true;
+            this.flushRibbon();
+        }
         
-        // Identity transform
-        gl.uniformMatrix3fv(this.mainLocations.transform, false, [
-            1, 0, 0,
-            0, 1, 0,
-            0, 0, 1
-        ]);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawTexture(this.strokeTexture, this.strokeLayer.framebuffer, this.ribbonOpacity);
         
-        // Draw quad
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        gl.enableVertexAttribArray(this.mainLocations.position);
-        gl.enableVertexAttribArray(this.mainLocations.texCoord);
-        gl.vertexAttribPointer(this.mainLocations.position, 2, gl.FLOAT, false, 16, 0);
-        gl.vertexAttribPointer(this.mainLocations.texCoord, 2, gl.FLOAT, false, 16, 8);
+        this.clearStrokeBuffer();
+        this.ribbonPoints = [];
+        this.activeShape = null;
+        this.activeStrokeMode = 'stamp';
+    }
+    
+    // Shapes
+    isShapeTool(tool = this.currentTool) {
+        return ShapeTool.isShapeTool(tool);
+    }
+    
+    setShapeOptions(options) {
+        Object.assign(this.shapeOptions, options);
+    }
+    
+    setConstrain(constrain) {
+        if (this.constrainShapes === constrain) return;
         
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        this.constrainShapes = constrain;
+        if (this.activeShape) {
+            this.activeShape.constrain = constrain;
+            this.shapeDirty = true;
+            this.requestRender();
+        }
     }
     
-    renderToScreen() {
-        const gl = this.gl;
+    startShape(x, y) {
+        const options = this.shapeOptions;
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        this.activeShape = {
+            type: this.currentTool,
+            start: { x, y },
+            end: { x, y },
+            constrain: this.constrainShapes,
+            size: this.brushSize,
+            stroke: options.stroke,
+            fill: options.fill,
+            fillColor: options.fillColor ? WebGLUtils.hexToRgb(options.fillColor) : { ...this.currentColor },
+            sides: options.sides
+        };
+        this.beginShape();
+    }
+    
+    beginShape() {
+        this.extendDocumentToShape(this.activeShape);
         
-        this.copyTexture(this.backTexture, null);
+        // Shapes draw at the brush size without pressure, like a flat ribbon
+        this.strokeBrush = BrushEngine.createBrush({ pressureSize: false });
+        this.activeStrokeMode = 'shape';
+        this.ribbonOpacity = this.currentColor.a;
+        this.shapeDirty = true;
+        this.requestRender();
     }
     
-    swapBuffers() {
-        [this.frontTexture, this.backTexture] = [this.backTexture, this.frontTexture];
-        [this.frontFramebuffer, this.backFramebuffer] = [this.backFramebuffer, this.frontFramebuffer];
+    finishShape() {
+        // The document keeps the final shape and its corner points
+        const shape = this.activeShape;
+        this.currentStroke.shape = { ...shape, start: { ...shape.start }, end: { ...shape.end } };
+        this.document.addPoint(this.currentStroke, shape.start.x, shape.start.y, 1.0);
+        this.document.addPoint(this.currentStroke, shape.end.x, shape.end.y, 1.0);
     }
     
-    clear() {
-        console.log('🧹 Drawing engine clear() method called');
-        const gl = this.gl;
+    updateShape(x, y) {
+        this.activeShape.end = { x, y };
+        this.extendDocumentToShape(this.activeShape);
+        this.shapeDirty = true;
+        this.requestRender();
+    }
+    
+    extendDocumentToShape(shape) {
+        const geometry = ShapeTool.build(shape);
+        const points = [...geometry.fills, ...geometry.outlines.map(outline => outline.points)];
+        this.extendDocumentAround([].concat(...points), shape.size + 2);
+    }
+    
+    // Snap to shape
+    setSnapToShape(enabled) {
+        this.snapToShape = enabled;
+        this.lastSnap = null;
+    }
+    
+    snapStroke(stroke) {
+        const shape = this.shapeRecognizer.recognize(stroke.points);
+        const layer = this.layerStack.getLayerById(stroke.layerId);
+        if (!shape || !layer) return false;
         
-        if (!gl) {
-            console.error('❌ WebGL context not available');
-            return;
-        }
+        // Take the freehand stroke back off the layer, then draw the clean
+        // shape as its own history step so revert (or undo) restores it
+        this.undo();
+        this.recordHistory([layer]);
         
-        try {
-            // Clear both buffers
-            console.log('🧽 Clearing front buffer...');
-            gl.bindFramebuffer(gl.FRAMEBUFFER, this.frontFramebuffer);
-            gl.clearColor(1.0, 1.0, 1.0, 1.0);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            
-            console.log('🧽 Clearing back buffer...');
-            gl.bindFramebuffer(gl.FRAMEBUFFER, this.backFramebuffer);
-            gl.clearColor(1.0, 1.0, 1.0, 1.0);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            
-            // Render to screen
-            console.log('🖥️ Rendering cleared canvas to screen...');
-            this.renderToScreen();
-            
-            console.log('✅ Canvas cleared successfully');
-        } catch (error) {
-            console.error('❌ Error in WebGL clear operation:', error);
+        const { label, ...geometry } = shape;
+        const clean = this.document.createStroke({
+            tool: stroke.tool,
+            color: stroke.color,
+            size: stroke.size,
+            source: stroke.source,
+            layerId: stroke.layerId,
+            mode: 'shape',
+            shape: { ...geometry, constrain: false, size: stroke.size, stroke: true, fill: false, fillColor: null }
+        });
+        this.document.addPoint(clean, geometry.start.x, geometry.start.y, 1.0);
+        this.document.addPoint(clean, geometry.end.x, geometry.end.y, 1.0);
+        
+        this.renderStroke(clean);
+        this.document.commit(clean);
+        this.renderToScreen();
+        
+        this.lastSnap = { original: stroke, clean, entry: this.history.undoStack[this.history.undoStack.length - 1] };
+        console.log(`🔷 Snapped stroke to ${label}`);
+        
+        if (this.onShapeSnapped) {
+            this.onShapeSnapped(label);
         }
+        return true;
     }
     
-    getImageData() {
-        const gl = this.gl;
-        const pixels = new Uint8Array(this.canvas.width * this.canvas.height * 4);
+    canRevertSnap() {
+        // Only while the clean shape is still the latest change
+        const snap = this.lastSnap;
+        const undoStack = this.history.undoStack;
+        return !!snap && !this.isDrawing && undoStack[undoStack.length - 1] === snap.entry &&
+            this.document.getStrokes().includes(snap.clean);
+    }
+    
+    revertSnap() {
+        if (!this.canRevertSnap()) {
+            this.lastSnap = null;
+            return false;
+        }
+        
+        const original = this.lastSnap.original;
+        const layer = this.lastSnap.entry.layers[0].layer;
+        this.lastSnap = null;
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.frontFramebuffer);
-        gl.readPixels(0, 0, this.canvas.width, this.canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        this.undo();
+        this.recordHistory([layer]);
+        this.renderStroke(original);
+        this.document.commit(original);
+        this.renderToScreen();
+        return true;
+    }
+    
+    // Symmetry
+    setSymmetry(options) {
+        const symmetry = this.symmetry;
+        if (SYMMETRY_MODES.includes(options.mode)) symmetry.mode = options.mode;
+        if (options.segments) symmetry.segments = Math.max(2, Math.min(SYMMETRY_MAX_SEGMENTS, Math.round(options.segments)));
+        if (options.mirror !== undefined) symmetry.mirror = options.mirror;
         
-        return pixels;
+        this.notifySymmetryChange();
+    }
+    
+    // Arms the next press on the canvas to move the centre
+    placeSymmetryCenter() {
+        this.symmetry.placingCenter = true;
+        this.notifySymmetryChange();
+    }
+    
+    // A null centre follows the middle of the canvas
+    setSymmetryCenter(x, y) {
+        this.symmetry.center = x === null ? null : { x, y };
+        this.symmetry.placingCenter = false;
+        this.notifySymmetryChange();
+    }
+    
+    notifySymmetryChange() {
+        this.renderToScreen();
+        if (this.onSymmetryChange) {
+            this.onSymmetryChange(this.symmetry);
+        }
+    }
+    
+    // Grid and ruler
+    setGrid(options) {
+        const grid = this.guides.grid;
+        ['visible', 'isometric', 'snap'].forEach(key => {
+            if (options[key] !== undefined) grid[key] = !!options[key];
+        });
+        if (options.spacing) grid.spacing = Math.max(GRID_MIN_SPACING, Math.min(GRID_MAX_SPACING, options.spacing));
+        
+        this.renderToScreen();
+    }
+    
+    setRuler(options) {
+        const ruler = this.guides.ruler;
+        ['visible', 'snap'].forEach(key => {
+            if (options[key] !== undefined) ruler[key] = !!options[key];
+        });
+        
+        // The ruler first appears across the middle of the canvas
+        if (ruler.visible && ruler.x === null) {
+            this.resetRuler();
+            return;
+        }
+        this.renderToScreen();
+    }
+    
+    resetRuler() {
+        const ruler = this.guides.ruler;
+        ruler.x = this.canvas.width / 2;
+        ruler.y = this.canvas.height / 2;
+        ruler.angle = 0;
+        this.renderToScreen();
+    }
+    
+    // Dragging the ruler body moves it, its end knobs rotate it
+    rulerPointerDown(x, y) {
+        const hit = this.guides.hitTestRuler(x, y, this.viewport.zoom);
+        if (!hit) return false;
+        
+        this.guides.beginDrag(hit, x, y);
+        return true;
+    }
+    
+    // Flood fill
+    setFillOptions(options) {
+        Object.assign(this.fillOptions, options);
+    }
+    
+    fillAt(x, y, source = 'unknown') {
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        
+        const layer = this.layerStack.getActiveLayer();
+        if (layer.locked || !layer.visible) {
+            console.warn(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - fill ignored`);
+            return false;
+        }
+        // Beyond the document there is nothing to fill
+        if (!this.layerStack.contains(x, y, x, y)) return false;
+        
+        this.recordHistory([layer]);
+        
+        const stroke = this.document.createStroke({
+            tool: 'bucket',
+            color: this.currentColor,
+            size: 0,
+            source,
+            layerId: layer.id,
+            mode: 'fill',
+            floodFill: this.fillOptions
+        });
+        this.document.addPoint(stroke, x, y, 1.0);
+        
+        this.applyFill(stroke, layer);
+        this.document.commit(stroke);
+        this.renderToScreen();
+        
+        console.log(`🪣 Filled at ${x.toFixed(1)}, ${y.toFixed(1)}`);
+        return true;
+    }
+    
+    applyFill(stroke, layer) {
+        const gl = this.gl;
+        const { origin, width, height } = this.layerStack;
+        const point = stroke.points[0];
+        
+        const coverage = FloodFill.fill(this.getImageData(), width, height, point.x - origin.x, point.y - origin.y, stroke.floodFill);
+        if (!coverage) return;
+        
+        const texture = this.createCoverageTexture(coverage, stroke.color);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawTexture(texture, layer.framebuffer);
+        gl.deleteTexture(texture);
+    }
+    
+    // Layer-sized texture of a colour at per-pixel coverage (0-255, top row first)
+    createCoverageTexture(coverage, color) {
+        const gl = this.gl;
+        const { width, height } = this.layerStack;
+        const alpha = color.a === undefined ? 1 : color.a;
+        
+        // Premultiplied colour, rows flipped back to framebuffer order
+        const pixels = new Uint8Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const source = (height - 1 - y) * width;
+            const target = y * width * 4;
+            for (let x = 0; x < width; x++) {
+                const a = coverage[source + x] * alpha;
+                pixels[target + x * 4] = color.r * a;
+                pixels[target + x * 4 + 1] = color.g * a;
+                pixels[target + x * 4 + 2] = color.b * a;
+                pixels[target + x * 4 + 3] = a;
+            }
+        }
+        
+        const texture = WebGLUtils.createTexture(gl, width, height);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        return texture;
+    }
+    
+    // Text
+    setTextOptions(options) {
+        const { font, size, align } = options;
+        if (TEXT_FONTS.includes(font)) this.textOptions.font = font;
+        if (size > 0) this.textOptions.size = size;
+        if (TEXT_ALIGNMENTS.includes(align)) this.textOptions.align = align;
+    }
+    
+    // Topmost text object under a document point that can still be edited
+    getTextAt(x, y) {
+        const strokes = this.document.getStrokes();
+        for (let i = strokes.length - 1; i >= 0; i--) {
+            const stroke = strokes[i];
+            if (stroke.text && !stroke.text.flattened && TextTool.containsPoint(stroke.text, stroke.points[0], x, y)) {
+                return stroke;
+            }
+        }
+        return null;
+    }
+    
+    // Takes a text object out of the drawing so its text box can be edited;
+    // committing puts it back in the same place in the stroke order
+    beginTextEdit(stroke) {
+        const layer = this.layerStack.getLayerById(stroke.layerId);
+        if (!layer || layer.locked || !layer.visible) return false;
+        
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        
+        // Later strokes are replayed too, so every layer can change
+        this.recordHistory(this.layerStack.layers);
+        
+        const strokes = this.document.getStrokes();
+        this.textEdit = { index: strokes.indexOf(stroke), layerId: stroke.layerId };
+        this.document.restore(strokes.filter(other => other !== stroke));
+        this.redraw();
+        return true;
+    }
+    
+    // Rasterises text into the current layer (or back into the layer of the
+    // text object being edited) and keeps it in the document
+    commitText(x, y, content, color, source = 'unknown') {
+        const edit = this.textEdit;
+        this.textEdit = null;
+        
+        const layer = edit ? this.layerStack.getLayerById(edit.layerId) : this.layerStack.getActiveLayer();
+        if (!content.trim()) {
+            // Emptying an edited text box deletes the text, which is already undoable
+            this.renderToScreen();
+            return !!edit;
+        }
+        
+        if (!edit) {
+            if (layer.locked || !layer.visible) {
+                console.warn(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - text ignored`);
+                return false;
+            }
+            this.commitSelection();
+            this.recordHistory([layer]);
+        }
+        
+        const stroke = this.document.createStroke({
+            tool: 'text',
+            color,
+            size: 0,
+            source,
+            layerId: layer.id,
+            mode: 'text',
+            text: { ...this.textOptions, content }
+        });
+        this.document.addPoint(stroke, x, y, 1.0);
+        
+        const bounds = TextTool.measure(stroke.text, { x, y });
+        this.extendDocumentAround([bounds, { x: bounds.x + bounds.width, y: bounds.y + bounds.height }], 2);
+        
+        if (edit) {
+            const strokes = this.document.snapshot();
+            strokes.splice(edit.index, 0, stroke);
+            this.document.restore(strokes);
+            this.redraw();
+        } else {
+            this.applyText(stroke, layer);
+            this.document.commit(stroke);
+            this.renderToScreen();
+        }
+        
+        console.log(`🔤 Placed text "${content}" at ${x.toFixed(1)}, ${y.toFixed(1)}`);
+        return true;
+    }
+    
+    // Puts an edited text object back as it was
+    cancelTextEdit() {
+        if (!this.textEdit) return;
+        
+        this.textEdit = null;
+        this.restoreSnapshot(this.history.undoStack[this.history.undoStack.length - 1]);
+        this.history.cancel();
+    }
+    
+    // Text objects become plain pixels and can no longer be edited
+    flattenText() {
+        const strokes = this.document.getStrokes();
+        if (!strokes.some(stroke => stroke.text && !stroke.text.flattened)) return false;
+        
+        this.recordHistory([]);
+        this.document.restore(strokes.map(stroke => {
+            return stroke.text && !stroke.text.flattened ? { ...stroke, text: { ...stroke.text, flattened: true } } : stroke;
+        }));
+        
+        console.log('🔤 Text flattened');
+        return true;
+    }
+    
+    applyText(stroke, layer) {
+        const gl = this.gl;
+        const { origin, width, height } = this.layerStack;
+        const point = stroke.points[0];
+        const coverage = TextTool.rasterize(stroke.text, { x: point.x - origin.x, y: point.y - origin.y }, width, height);
+        const texture = this.createCoverageTexture(coverage, stroke.color);
+        
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawTexture(texture, layer.framebuffer);
+        gl.deleteTexture(texture);
+    }
+    
+    // Selections
+    hasSelection() {
+        return !!this.selection.floating;
+    }
+    
+    selectionPointerDown(x, y, source) {
+        const selection = this.selection;
+        const selectionTool = SelectionTool.isSelectionTool(this.currentTool);
+        
+        if (selection.floating) {
+            const hit = selectionTool ? selection.hitTest(x, y, this.viewport.zoom) : null;
+            if (hit) {
+                selection.beginDrag(hit, x, y);
+                this.selecting = true;
+                return true;
+            }
+            
+            // Pressing outside the selection drops it in place
+            this.commitSelection();
+        }
+        
+        if (!selectionTool) return false;
+        
+        selection.beginPath(this.currentTool, x, y);
+        this.selectionSource = source;
+        this.selecting = true;
+        this.requestRender();
+        return true;
+    }
+    
+    selectionPointerMove(x, y) {
+        if (this.selection.path) {
+            this.selection.extendPath(x, y, this.constrainShapes);
+        } else {
+            this.selection.updateDrag(x, y, this.constrainShapes);
+        }
+        this.requestRender();
+    }
+    
+    selectionPointerUp() {
+        this.selecting = false;
+        
+        if (this.selection.path) {
+            const polygon = this.selection.finishPath();
+            if (polygon) {
+                this.liftSelection(polygon, this.selectionSource);
+            }
+        } else {
+            this.selection.endDrag();
+        }
+        
+        this.notifySelectionChange();
+        this.renderToScreen();
+    }
+    
+    // An outline being drawn selects nothing, a dragged selection goes back
+    cancelSelectionDrag() {
+        this.selecting = false;
+        
+        if (this.selection.path) {
+            this.selection.cancelPath();
+        } else {
+            this.selection.cancelDrag();
+        }
+        
+        this.notifySelectionChange();
+        this.renderToScreen();
+    }
+    
+    // Pick up the selection from anywhere inside it, e.g. with a camera pinch
+    grabSelection(x, y) {
+        if (!this.selection.floating || !SelectionTool.containsPoint(this.selection.getCorners(), x, y)) return false;
+        
+        this.selection.beginDrag({ type: 'move' }, x, y);
+        this.selecting = true;
+        return true;
+    }
+    
+    liftSelection(polygon, source = 'unknown') {
+        const layer = this.layerStack.getActiveLayer();
+        if (layer.locked || !layer.visible) {
+            console.warn(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - selection ignored`);
+            return false;
+        }
+        
+        // One history entry covers lifting, transforming and committing
+        this.recordHistory([layer]);
+        
+        const floating = this.selection.float(polygon);
+        Object.assign(floating, this.liftPixels(layer, polygon, true), { layer, cut: true, block: null, source });
+        
+        console.log(`✂️ Selected ${Math.round(floating.bounds.width)}x${Math.round(floating.bounds.height)} on "${layer.name}"`);
+        return true;
+    }
+    
+    // Copies the pixels of a layer inside a polygon into a new layer-sized
+    // texture, and optionally cuts them out of the layer
+    liftPixels(layer, polygon, cut) {
+        const gl = this.gl;
+        const { origin, width, height } = this.layerStack;
+        this.flushDabs();
+        
+        const local = polygon.map(point => ({ x: point.x - origin.x, y: point.y - origin.y }));
+        const mask = this.createCoverageTexture(SelectionTool.rasterize(local, width, height), { r: 1, g: 1, b: 1 });
+        const texture = WebGLUtils.createTexture(gl, width, height);
+        const framebuffer = WebGLUtils.createFramebuffer(gl, texture);
+        
+        // Multiply by the mask alpha to keep the inside, or by its inverse to clear it
+        this.copyTexture(layer.texture, framebuffer);
+        gl.blendFunc(gl.ZERO, gl.SRC_ALPHA);
+        this.drawTexture(mask, framebuffer);
+        if (cut) {
+            gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+            this.drawTexture(mask, layer.framebuffer);
+        }
+        
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.deleteTexture(mask);
+        return { texture, framebuffer };
+    }
+    
+    // Layer-sized texture holding a copied block of premultiplied pixels
+    // (rows bottom-up, as read from a framebuffer), clipped to the document
+    createBlockTexture(block) {
+        const gl = this.gl;
+        const { origin, width: documentWidth, height: documentHeight } = this.layerStack;
+        const texture = WebGLUtils.createTexture(gl, documentWidth, documentHeight);
+        const framebuffer = WebGLUtils.createFramebuffer(gl, texture);
+        
+        // Block position in the texture
+        const x = block.x - origin.x;
+        const y = block.y - origin.y;
+        const left = Math.max(0, x);
+        const top = Math.max(0, y);
+        const right = Math.min(documentWidth, x + block.width);
+        const bottom = Math.min(documentHeight, y + block.height);
+        if (right > left && bottom > top) {
+            const width = right - left;
+            const height = bottom - top;
+            const firstRow = y + block.height - bottom;
+            const pixels = new Uint8Array(width * height * 4);
+            for (let row = 0; row < height; row++) {
+                const start = ((firstRow + row) * block.width + left - x) * 4;
+                pixels.set(block.pixels.subarray(start, start + width * 4), row * width * 4);
+            }
+            
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, left, documentHeight - bottom, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        }
+        return { texture, framebuffer };
+    }
+    
+    // The selection transform works in document space, the texture in layer pixels
+    drawFloating(floating, targetFramebuffer, opacity = 1.0) {
+        const { x, y } = this.layerStack.origin;
+        const matrix = Viewport.multiply([1, 0, 0, 0, 1, 0, -x, -y, 1], Viewport.multiply(SelectionTool.getMatrix(floating), [1, 0, 0, 0, 1, 0, x, y, 1]));
+        this.drawTexture(floating.texture, targetFramebuffer, opacity, Viewport.multiply(matrix, this.getQuadTransform()));
+    }
+    
+    disposeFloating(floating) {
+        this.gl.deleteFramebuffer(floating.framebuffer);
+        this.gl.deleteTexture(floating.texture);
+    }
+    
+    flipSelection(horizontal) {
+        if (!this.selection.floating) return;
+        
+        this.selection.flip(horizontal);
+        this.renderToScreen();
+    }
+    
+    // Draws the floating pixels into their layer and records the whole
+    // operation as one document stroke
+    commitSelection(deleted = false) {
+        const floating = this.selection.floating;
+        if (!floating) return false;
+        
+        const { x, y, scaleX, scaleY, rotation } = floating.transform;
+        const unchanged = x === 0 && y === 0 && scaleX === 1 && scaleY === 1 && rotation === 0;
+        if (deleted ? !floating.cut : floating.cut && unchanged) {
+            // Nothing would change - don't leave an empty undo step behind
+            this.cancelSelection();
+            return true;
+        }
+        
+        if (!deleted) {
+            // Moved or scaled past the edge, the document grows to keep it
+            this.extendDocumentAround(this.selection.getCorners(), 1);
+            this.gl.blendFunc(this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
+            this.drawFloating(floating, floating.layer.framebuffer);
+        }
+        
+        const stroke = this.document.createStroke({
+            tool: 'selection',
+            color: this.currentColor,
+            size: 0,
+            source: floating.source,
+            layerId: floating.layer.id,
+            mode: 'selection',
+            selection: {
+                cut: floating.cut,
+                deleted,
+                transform: { ...floating.transform },
+                block: floating.block ? { ...floating.block } : null // pasted pixels replay from here
+            }
+        });
+        floating.polygon.forEach(point => this.document.addPoint(stroke, point.x, point.y, 1.0));
+        this.document.commit(stroke);
+        
+        this.disposeFloating(floating);
+        this.selection.drop();
+        this.notifySelectionChange();
+        this.renderToScreen();
+        
+        console.log(deleted ? '🗑️ Selection deleted' : '📌 Selection committed');
+        return true;
+    }
+    
+    deleteSelection() {
+        return this.commitSelection(true);
+    }
+    
+    // Puts lifted pixels back untouched and drops the selection's undo step
+    cancelSelection() {
+        const gl = this.gl;
+        const floating = this.selection.floating;
+        this.selecting = false;
+        
+        if (floating) {
+            // The hole in the layer is exactly where the lifted pixels are
+            if (floating.cut) {
+                gl.blendFunc(gl.ONE, gl.ONE);
+                this.drawTexture(floating.texture, floating.layer.framebuffer);
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            }
+            this.disposeFloating(floating);
+            this.history.cancel();
+        }
+        
+        this.selection.drop();
+        this.notifySelectionChange();
+        this.renderToScreen();
+    }
+    
+    copySelection() {
+        const floating = this.selection.floating;
+        if (!floating) return false;
+        
+        const gl = this.gl;
+        const bounds = floating.bounds;
+        const { origin, width: documentWidth, height: documentHeight } = this.layerStack;
+        const x = Math.max(origin.x, Math.floor(bounds.x));
+        const y = Math.max(origin.y, Math.floor(bounds.y));
+        const width = Math.min(origin.x + documentWidth, Math.ceil(bounds.x + bounds.width)) - x;
+        const height = Math.min(origin.y + documentHeight, Math.ceil(bounds.y + bounds.height)) - y;
+        if (width <= 0 || height <= 0) return false;
+        
+        // The untransformed pixels, so pasting keeps full quality
+        const pixels = new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, floating.framebuffer);
+        gl.readPixels(x - origin.x, documentHeight - (y - origin.y) - height, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        
+        this.clipboard = {
+            polygon: floating.polygon.map(point => ({ x: point.x, y: point.y })),
+            transform: { ...floating.transform },
+            block: { x, y, width, height, pixels }
+        };
+        this.notifySelectionChange();
+        
+        console.log(`📋 Copied ${width}x${height} selection`);
+        return true;
+    }
+    
+    cutSelection() {
+        return this.copySelection() && this.deleteSelection();
+    }
+    
+    pasteSelection(source = 'unknown') {
+        const clipboard = this.clipboard;
+        if (!clipboard) return false;
+        
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        
+        const layer = this.layerStack.getActiveLayer();
+        if (layer.locked || !layer.visible) {
+            console.warn(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - paste ignored`);
+            return false;
+        }
+        
+        // The copied pixels must fit in the document to be lifted into it
+        const block = clipboard.block;
+        this.extendDocument(block.x, block.y, block.x + block.width, block.y + block.height);
+        this.recordHistory([layer]);
+        
+        // Each paste lands a little further along so copies don't hide each other
+        clipboard.transform.x += PASTE_OFFSET;
+        clipboard.transform.y += PASTE_OFFSET;
+        
+        const polygon = clipboard.polygon.map(point => ({ x: point.x, y: point.y }));
+        const floating = this.selection.float(polygon, clipboard.transform);
+        Object.assign(floating, this.createBlockTexture(clipboard.block), { layer, cut: false, block: clipboard.block, source });
+        
+        this.notifySelectionChange();
+        this.renderToScreen();
+        
+        console.log(`📋 Pasted selection on "${layer.name}"`);
+        return true;
+    }
+    
+    // Replays a committed selection from the document
+    applySelection(stroke, layer) {
+        const selection = stroke.selection;
+        const floating = {
+            bounds: SelectionTool.getBounds(stroke.points),
+            transform: selection.transform,
+            ...(selection.block ? this.createBlockTexture(selection.block) : this.liftPixels(layer, stroke.points, selection.cut))
+        };
+        
+        if (!selection.deleted) {
+            this.gl.blendFunc(this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
+            this.drawFloating(floating, layer.framebuffer);
+        }
+        this.disposeFloating(floating);
+    }
+    
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.hasSelection(), !!this.clipboard);
+        }
+    }
+    
+    // Rebuilds the rubber-band preview of the active shape in the stroke buffer
+    flushShape() {
+        if (!this.shapeDirty || !this.activeShape) return;
+        this.shapeDirty = false;
+        
+        const gl = this.gl;
+        const shape = this.activeShape;
+        const geometry = ShapeTool.build(shape);
+        
+        this.clearStrokeBuffer();
+        
+        this.symmetryTransforms.forEach(matrix => {
+            const transform = (points) => points.map(point => Symmetry.transformPoint(matrix, point.x, point.y));
+            
+            if (shape.fill) {
+                geometry.fills.forEach(polygon => {
+                    this.drawStrokeBufferVertices(this.triangulateFill(transform(polygon)), shape.fillColor, gl.TRIANGLES);
+                });
+            }
+            
+            geometry.outlines
+                .filter(outline => shape.stroke || outline.always)
+                .forEach(outline => this.drawShapeOutline({ ...outline, points: transform(outline.points) }));
+        });
+        
+        this.flushDabs();
+    }
+    
+    drawShapeOutline(outline) {
+        const gl = this.gl;
+        const color = this.currentColor;
+        const points = outline.points.map(point => ({ x: point.x, y: point.y, pressure: 1 }));
+        if (outline.closed) {
+            points.push(points[0]);
+        }
+        
+        if (outline.smooth) {
+            // Curves tessellate as one ribbon
+            this.drawStrokeBufferVertices(this.tessellateRibbon(points), color, gl.TRIANGLE_STRIP);
+        } else {
+            // Straight edges keep their corners: one ribbon per edge, discs at the corners
+            for (let i = 1; i < points.length; i++) {
+                this.drawStrokeBufferVertices(this.tessellateRibbon([points[i - 1], points[i]]), color, gl.TRIANGLE_STRIP);
+            }
+        }
+        this.queueStrokeBufferDiscs(outline.smooth ? this.getRibbonDiscs(points) : points, color);
+    }
+    
+    triangulateFill(polygon) {
+        // Convex fan around the centroid; an offset of zero keeps the ribbon shader solid
+        const cx = polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length;
+        const cy = polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length;
+        const vertices = new Float32Array(polygon.length * 12);
+        let offset = 0;
+        
+        polygon.forEach((point, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            [{ x: cx, y: cy }, point, next].forEach(vertex => {
+                vertices[offset++] = vertex.x;
+                vertices[offset++] = vertex.y;
+                vertices[offset++] = 0;
+                vertices[offset++] = 1;
+            });
+        });
+        
+        return vertices;
+    }
+    
+    drawPoint(x, y, pressure = this.pressure, pen = null) {
+        // Validate coordinates
+        if (isNaN(x) || isNaN(y)) {
+            console.warn(`Invalid coordinates: ${x}, ${y}`);
+            return;
+        }
+        
+        const erase = this.currentTool === 'eraser';
+        const brush = this.strokeBrush || (erase ? ERASER_BRUSH : this.getBrush());
+        const dab = this.brushes.createDab(brush, this.brushSize, pressure, pen);
+        
+        // Erasing never needs more document than there is
+        if (!erase) {
+            this.extendDocumentAround([{ x, y }], dab.radius + 2);
+        }
+        const color = erase ? { r: 0, g: 0, b: 0, a: 1 } : { ...this.currentColor, a: this.currentColor.a * dab.alpha };
+        const layer = this.strokeLayer || this.layerStack.getActiveLayer();
+        
+        // Queue the dab - it is drawn with the rest of the frame's dabs. With
+        // symmetry the same dab is repeated at every mirrored position
+        this.symmetryTransforms.forEach(matrix => {
+            const point = Symmetry.transformPoint(matrix, x, y);
+            this.dabQueue.push({
+                x: point.x,
+                y: point.y,
+                radius: dab.radius,
+                color,
+                hardness: dab.hardness,
+                angle: Symmetry.transformAngle(matrix, dab.angle),
+                roundness: dab.roundness,
+                grain: dab.grain,
+                erase,
+                layer
+            });
+        });
+        
+        this.requestRender();
+    }
+    
+    flushDabs() {
+        if (this.dabQueue.length === 0) return 0;
+        
+        const flushStart = performance.now();
+        const gl = this.gl;
+        const queue = this.dabQueue;
+        this.dabQueue = [];
+        
+        let drawCalls = 0;
+        if (this.dabBatching) {
+            // One draw call per run of dabs sharing a layer and blend mode
+            this.bindStampProgram();
+            let start = 0;
+            while (start < queue.length) {
+                let end = start + 1;
+                while (end < queue.length && queue[end].layer === queue[start].layer && queue[end].erase === queue[start].erase) {
+                    end++;
+                }
+                
+                this.drawDabBatch(queue, start, end);
+                drawCalls++;
+                start = end;
+            }
+            this.unbindStampProgram();
+        } else {
+            // Baseline: a draw call and a full present for every dab
+            queue.forEach((dab, i) => {
+                this.bindStampProgram();
+                this.drawDabBatch(queue, i, i + 1);
+                this.unbindStampProgram();
+                drawCalls++;
+                
+                this.renderToScreen();
+                this.stats.lastFramePresentPasses += this.stats.lastFrameCompositePasses;
+            });
+        }
+        
+        // Restore blending
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        
+        this.stats.totalDabs += queue.length;
+        this.stats.lastFrameDrawCalls += drawCalls;
+        this.stats.lastFlushMs += performance.now() - flushStart;
+        return queue.length;
+    }
+    
+    // Off only to measure the baseline; dabs already queued go out batched
+    setDabBatching(enabled) {
+        this.flushDabs();
+        this.dabBatching = enabled;
+    }
+    
+    bindStampProgram() {
+        const gl = this.gl;
+        const locations = this.stampLocations;
+        const stride = DAB_FLOATS_PER_VERTEX * 4;
+        
+        gl.useProgram(this.stampProgram);
+        gl.viewport(0, 0, this.layerStack.width, this.layerStack.height);
+        gl.uniform2f(locations.resolution, this.layerStack.width, this.layerStack.height);
+        gl.uniform2f(locations.origin, this.layerStack.origin.x, this.layerStack.origin.y);
+        gl.uniform1f(locations.grainSize, GRAIN_TEXTURE_SIZE);
+        gl.uniform1i(locations.grainTexture, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.grainTexture);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.dabBuffer);
+        STAMP_ATTRIBUTES.forEach(name => gl.enableVertexAttribArray(locations[name]));
+        gl.vertexAttribPointer(locations.corner, 2, gl.FLOAT, false, stride, 0);
+        gl.vertexAttribPointer(locations.center, 2, gl.FLOAT, false, stride, 8);
+        gl.vertexAttribPointer(locations.radius, 1, gl.FLOAT, false, stride, 16);
+        gl.vertexAttribPointer(locations.color, 4, gl.FLOAT, false, stride, 20);
+        gl.vertexAttribPointer(locations.hardness, 1, gl.FLOAT, false, stride, 36);
+        gl.vertexAttribPointer(locations.angle, 1, gl.FLOAT, false, stride, 40);
+        gl.vertexAttribPointer(locations.roundness, 1, gl.FLOAT, false, stride, 44);
+        gl.vertexAttribPointer(locations.grain, 1, gl.FLOAT, false, stride, 48);
+    }
+    
+    unbindStampProgram() {
+        const locations = this.stampLocations;
+        STAMP_ATTRIBUTES.slice(1).forEach(name => this.gl.disableVertexAttribArray(locations[name]));
+    }
+    
+    drawDabBatch(queue, start, end) {
+        const gl = this.gl;
+        const count = end - start;
+        const floatsNeeded = count * 6 * DAB_FLOATS_PER_VERTEX;
+        
+        if (this.dabVertices.length < floatsNeeded) {
+            this.dabVertices = new Float32Array(floatsNeeded * 2);
+        }
+        
+        // Two triangles per dab, every vertex carries the dab parameters
+        const data = this.dabVertices;
+        let offset = 0;
+        for (let i = start; i < end; i++) {
+            const dab = queue[i];
+            for (let c = 0; c < DAB_CORNERS.length; c += 2) {
+                data[offset++] = DAB_CORNERS[c];
+                data[offset++] = DAB_CORNERS[c + 1];
+                data[offset++] = dab.x;
+                data[offset++] = dab.y;
+                data[offset++] = dab.radius;
+                data[offset++] = dab.color.r;
+                data[offset++] = dab.color.g;
+                data[offset++] = dab.color.b;
+                data[offset++] = dab.color.a;
+                data[offset++] = dab.hardness;
+                data[offset++] = dab.angle;
+                data[offset++] = dab.roundness;
+                data[offset++] = dab.grain;
+            }
+        }
+        
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, floatsNeeded), gl.DYNAMIC_DRAW);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, queue[start].layer.framebuffer);
+        
+        // Eraser dabs remove coverage from the layer
+        if (queue[start].erase) {
+            gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+        } else {
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        }
+        
+        gl.drawArrays(gl.TRIANGLES, 0, count * 6);
+    }
+    
+    requestRender() {
+        if (this.renderPending) return;
+        
+        this.renderPending = true;
+        requestAnimationFrame(() => this.renderFrame());
+    }
+    
+    renderFrame() {
+        this.renderPending = false;
+        
+        const start = performance.now();
+        this.stats.lastFrameDrawCalls = 0;
+        this.stats.lastFrameDabs = this.dabQueue.length;
+        this.stats.lastFramePresentPasses = 0;
+        this.stats.lastFlushMs = 0;
+        
+        this.renderToScreen();
+        
+        const elapsed = performance.now() - start;
+        this.stats.frames++;
+        this.stats.lastFrameMs = elapsed;
+        this.stats.avgFrameMs += (elapsed - this.stats.avgFrameMs) / Math.min(this.stats.frames, 60);
+        this.stats.avgFlushMs += (this.stats.lastFlushMs - this.stats.avgFlushMs) / Math.min(this.stats.frames, 60);
+        
+        if (this.stats.lastFrameDabs > 0) {
+            this.recordPathStats(this.dabBatching ? 'batched' : 'baseline', elapsed);
+        }
+    }
+    
+    // Running averages for the dab path in use, per frame and per dab
+    recordPathStats(path, elapsed) {
+        const stats = this.stats;
+        const sample = {
+            frameMs: elapsed,
+            flushMs: stats.lastFlushMs,
+            msPerDab: elapsed / stats.lastFrameDabs,
+            dabsPerFrame: stats.lastFrameDabs,
+            drawCallsPerFrame: stats.lastFrameDrawCalls + stats.lastFrameCompositePasses + stats.lastFramePresentPasses,
+            fullScreenPassesPerFrame: stats.lastFrameCompositePasses + stats.lastFramePresentPasses
+        };
+        
+        if (!stats[path]) {
+            stats[path] = { frames: 0, ...sample };
+        }
+        const averages = stats[path];
+        averages.frames++;
+        const weight = 1 / Math.min(averages.frames, 60);
+        Object.keys(sample).forEach(key => {
+            averages[key] += (sample[key] - averages[key]) * weight;
+        });
+    }
+    
+    getPerformanceStats() {
+        const stats = this.stats;
+        const compositePasses = stats.lastFrameCompositePasses;
+        
+        return {
+            frames: stats.frames,
+            lastFrameMs: stats.lastFrameMs,
+            avgFrameMs: stats.avgFrameMs,
+            dabsPerFrame: stats.lastFrameDabs,
+            drawCallsPerFrame: stats.lastFrameDrawCalls + compositePasses + stats.lastFramePresentPasses,
+            fullScreenPassesPerFrame: compositePasses + stats.lastFramePresentPasses,
+            // Measured with performance.now(): the frame, and the dab batches inside it
+            lastFlushMs: stats.lastFlushMs,
+            avgFlushMs: stats.avgFlushMs,
+            totalDabs: stats.totalDabs,
+            dabBatching: this.dabBatching,
+            // Frames that drew dabs, batched and with setDabBatching(false);
+            // null until that path has drawn
+            batched: stats.batched && { ...stats.batched },
+            baseline: stats.baseline && { ...stats.baseline }
+        };
+    }
+    
+    // Maps the unit quad onto a layer-sized target in pixel space
+    getQuadTransform() {
+        const { width, height } = this.layerStack;
+        
+        return [
+            width / 2, 0, 0,
+            0, -height / 2, 0,
+            width / 2, height / 2, 1
+        ];
+    }
+    
+    // Offscreen targets are layer-sized, the screen is the canvas
+    getTargetSize(targetFramebuffer) {
+        return targetFramebuffer ? this.layerStack : this.canvas;
+    }
+    
+    drawTexture(sourceTexture, targetFramebuffer, opacity = 1.0, transform = this.getQuadTransform(), texScale = [1, 1]) {
+        const gl = this.gl;
+        const { width, height } = this.getTargetSize(targetFramebuffer);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, targetFramebuffer);
+        gl.viewport(0, 0, width, height);
+        gl.useProgram(this.mainProgram);
+        
+        // Bind source texture
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+        gl.uniform1i(this.mainLocations.texture, 0);
+        
+        // Set uniforms - fading towards transparent black applies the
+        // opacity to premultiplied colors
+        gl.uniform2f(this.mainLocations.resolution, width, height);
+        gl.uniform4f(this.mainLocations.color, 0, 0, 0, 0);
+        gl.uniform1f(this.mainLocations.alpha, 1 - opacity);
+        gl.uniformMatrix3fv(this.mainLocations.transform, false, transform);
+        gl.uniform2f(this.mainLocations.texScale, texScale[0], texScale[1]);
+        
+        // Draw quad
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(this.mainLocations.position);
+        gl.enableVertexAttribArray(this.mainLocations.texCoord);
+        gl.vertexAttribPointer(this.mainLocations.position, 2, gl.FLOAT, false, 16, 0);
+        gl.vertexAttribPointer(this.mainLocations.texCoord, 2, gl.FLOAT, false, 16, 8);
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    
+    copyTexture(sourceTexture, targetFramebuffer) {
+        const gl = this.gl;
+        
+        gl.disable(gl.BLEND);
+        this.drawTexture(sourceTexture, targetFramebuffer);
+        gl.enable(gl.BLEND);
+    }
+    
+    setBlendMode(mode) {
+        const gl = this.gl;
+        
+        // Blend equations for premultiplied source and destination
+        switch (mode) {
+            case 'multiply':
+                gl.blendFuncSeparate(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+                break;
+            case 'screen':
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+                break;
+            case 'add':
+                gl.blendFunc(gl.ONE, gl.ONE);
+                break;
+            default:
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        }
+    }
+    
+    // Background
+    setBackground(type, color) {
+        if (!BACKGROUND_TYPES.includes(type)) return;
+        
+        this.background = {
+            type,
+            color: color ? WebGLUtils.hexToRgb(color) : this.background.color
+        };
+        this.requestRender();
+    }
+    
+    getBackground() {
+        return this.background;
+    }
+    
+    // Clears the target to the document background. The checkerboard only
+    // marks transparency on screen and never ends up in exported pixels.
+    drawBackground(targetFramebuffer, forDisplay) {
+        const gl = this.gl;
+        const background = this.background;
+        const { width, height } = this.getTargetSize(targetFramebuffer);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, targetFramebuffer);
+        gl.viewport(0, 0, width, height);
+        
+        if (background.type === 'solid') {
+            gl.clearColor(background.color.r, background.color.g, background.color.b, 1.0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            return 0;
+        }
+        
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        
+        const tile = background.type === 'paper' ? this.paperTexture : (forDisplay ? this.checkerTexture : null);
+        if (!tile) return 0;
+        
+        const size = tile === this.paperTexture ? BACKGROUND_TILE_SIZE : CHECKER_TILE_SIZE;
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawTexture(tile, targetFramebuffer, 1.0, this.getQuadTransform(), [width / size, height / size]);
+        return 1;
+    }
+    
+    // Off display only the committed drawing is flattened: no checkerboard,
+    // and no preview of the ribbon, shape or prediction being drawn
+    compositeLayers(targetFramebuffer, forDisplay = true) {
+        const gl = this.gl;
+        
+        // Layers must contain every queued dab before they are read
+        this.flushDabs();
+        if (forDisplay) {
+            this.flushRibbon();
+            this.flushShape();
+        }
+        
+        let passes = this.drawBackground(targetFramebuffer, forDisplay);
+        
+        this.layerStack.layers.forEach(layer => {
+            if (!layer.visible || layer.opacity <= 0) return;
+            
+            this.setBlendMode(layer.blendMode);
+            this.drawTexture(layer.texture, targetFramebuffer, layer.opacity);
+            passes++;
+            
+            // A floating selection shows above the layer it was lifted from
+            const floating = this.selection.floating;
+            if (floating && floating.layer === layer) {
+                this.drawFloating(floating, targetFramebuffer, layer.opacity);
+                passes++;
+            }
+            
+            // Preview the ribbon, shape or prediction being drawn right above its layer
+            if (forDisplay && (this.activeStrokeMode !== 'stamp' || this.predictedPoints.length > 1) && layer === this.strokeLayer) {
+                this.drawTexture(this.strokeTexture, targetFramebuffer, layer.opacity * this.ribbonOpacity);
+                passes++;
+            }
+        });
+        
+        // Restore blending
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        
+        this.stats.lastFrameCompositePasses = passes;
+    }
+    
+    renderToScreen() {
+        const stack = this.layerStack;
+        if (this.viewport.isIdentity() && stack.origin.x === 0 && stack.origin.y === 0 &&
+            stack.width === this.canvas.width && stack.height === this.canvas.height) {
+            // Document and screen line up - composite straight to the canvas
+            this.compositeLayers(null);
+        } else {
+            // Flatten in document space, then place the result through the view
+            const gl = this.gl;
+            this.compositeLayers(this.compositeFramebuffer);
+            
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.clearColor(PASTEBOARD_COLOR.r, PASTEBOARD_COLOR.g, PASTEBOARD_COLOR.b, 1.0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            
+            const placement = Viewport.multiply(this.viewport.getMatrix(), [1, 0, 0, 0, 1, 0, stack.origin.x, stack.origin.y, 1]);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            this.drawTexture(this.compositeTexture, null, 1.0, Viewport.multiply(placement, this.getQuadTransform()));
+            this.stats.lastFrameCompositePasses++;
+        }
+        
+        // Selection outlines and handles are drawn over the frame by the app
+        if (this.onRender) {
+            this.onRender();
+        }
+    }
+    
+    // Viewport
+    getViewport() {
+        return this.viewport;
+    }
+    
+    screenToDocument(x, y) {
+        return this.viewport.screenToDocument(x, y);
+    }
+    
+    clear() {
+        console.log('🧹 Drawing engine clear() method called');
+        const gl = this.gl;
+        
+        if (!gl) {
+            console.error('❌ WebGL context not available');
+            return;
+        }
+        
+        try {
+            // Keep the current drawing so the clear can be undone
+            if (this.history) {
+                this.commitSelection();
+                this.recordHistory(this.layerStack.layers);
+            }
+            this.document.clear();
+            
+            this.clearBuffers();
+            
+            // Render to screen
+            console.log('🖥️ Rendering cleared canvas to screen...');
+            this.renderToScreen();
+            
+            console.log('✅ Canvas cleared successfully');
+        } catch (error) {
+            console.error('❌ Error in WebGL clear operation:', error);
+        }
+    }
+    
+    clearBuffers() {
+        // Pending dabs and ribbons belong to the content being cleared
+        this.dabQueue = [];
+        this.ribbonPoints = [];
+        this.ribbonDirty = false;
+        this.predictedPoints = [];
+        this.activeShape = null;
+        this.clearStrokeBuffer();
+        console.log(`🧽 Clearing ${this.layerStack.layers.length} layer(s)...`);
+        this.layerStack.layers.forEach(layer => this.layerStack.clearLayer(layer));
+    }
+    
+    // Re-render the raster from the retained strokes
+    redraw() {
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        
+        this.clearBuffers();
+        this.replayStrokes(this.document.getStrokes());
+        this.markBackupStale(this.layerStack.layers);
+        this.renderToScreen();
+        
+        console.log(`Redrew ${this.document.getStrokes().length} strokes from document`);
+    }
+    
+    // Strokes of a layer that was merged down build up in a target of their
+    // own until their merge draws it into the layer below
+    replayStrokes(strokes) {
+        this.mergeSources = new Map();
+        strokes.forEach(stroke => {
+            if (stroke.merge) {
+                this.mergeSources.set(stroke.merge.layerId, null);
+            }
+        });
+        
+        strokes.forEach(stroke => this.renderStroke(stroke));
+        
+        this.mergeSources.forEach(target => target && this.layerStack.disposeTargets(target));
+        this.mergeSources = null;
+    }
+    
+    getMergeSource(layerId) {
+        if (!this.mergeSources || !this.mergeSources.has(layerId)) return null;
+        
+        if (!this.mergeSources.get(layerId)) {
+            this.mergeSources.set(layerId, this.layerStack.createTarget(layerId));
+        }
+        return this.mergeSources.get(layerId);
+    }
+    
+    renderStroke(stroke) {
+        const layer = this.layerStack.getLayerById(stroke.layerId) || this.getMergeSource(stroke.layerId) || this.layerStack.getActiveLayer();
+        const saved = {
+            tool: this.currentTool,
+            color: this.currentColor,
+            size: this.brushSize,
+            pressure: this.pressure
+        };
+        
+        this.currentTool = stroke.tool;
+        this.currentColor = stroke.color;
+        this.brushSize = stroke.size;
+        this.strokeLayer = layer;
+        this.symmetryTransforms = Symmetry.getTransforms(stroke.symmetry);
+        
+        if (stroke.merge) {
+            this.applyMerge(stroke, layer);
+        } else if (stroke.floodFill) {
+            this.applyFill(stroke, layer);
+        } else if (stroke.selection) {
+            this.applySelection(stroke, layer);
+        } else if (stroke.text) {
+            this.applyText(stroke, layer);
+        } else if (stroke.shape) {
+            this.activeShape = { ...stroke.shape };
+            this.beginShape();
+            this.commitStrokeBuffer();
+        } else {
+            // Strokes from before brushes existed replay with the default tip
+            const brush = stroke.brush || (stroke.tool === 'eraser' ? ERASER_BRUSH : BrushEngine.createBrush({ mode: stroke.mode }));
+            this.beginBrush(brush, stroke.seed);
+            
+            // Replay through the same interpolation used while drawing
+            this.interpolator.reset();
+            stroke.points.forEach(point => {
+                this.drawDabs(this.interpolator.addPoint(point));
+            });
+            this.drawDabs(this.interpolator.finish());
+            this.commitStrokeBuffer();
+        }
+        
+        this.strokeLayer = null;
+        this.strokeBrush = null;
+        this.symmetryTransforms = [SYMMETRY_IDENTITY];
+        
+        this.currentTool = saved.tool;
+        this.currentColor = saved.color;
+        this.brushSize = saved.size;
+        this.pressure = saved.pressure;
+    }
+    
+    getDocument() {
+        return this.document;
+    }
+    
+    // History management
+    recordHistory(layers = [this.layerStack.getActiveLayer()], recordStack = false) {
+        this.markBackupStale(layers);
+        this.history.push(this.createSnapshot(layers, recordStack));
+    }
+    
+    createSnapshot(layers, recordStack = false) {
+        const gl = this.gl;
+        const { width, height } = this.layerStack;
+        
+        this.flushDabs();
+        
+        // Copy the pixels of every affected layer
+        const layerSnapshots = layers.map(layer => {
+            const texture = WebGLUtils.createTexture(gl, width, height);
+            const framebuffer = WebGLUtils.createFramebuffer(gl, texture);
+            WebGLUtils.copyFramebufferToTexture(gl, layer.framebuffer, texture, width, height);
+            return { layer, texture, framebuffer };
+        });
+        
+        return {
+            layers: layerSnapshots,
+            stack: recordStack ? this.layerStack.snapshot() : null,
+            strokes: this.document.snapshot()
+        };
+    }
+    
+    disposeSnapshot(entry) {
+        entry.layers.forEach(snapshot => {
+            this.gl.deleteFramebuffer(snapshot.framebuffer);
+            this.gl.deleteTexture(snapshot.texture);
+        });
+        
+        // Layers that only survive in this entry (e.g. deleted ones) can go too
+        if (entry.stack) {
+            entry.stack.layers.forEach(layer => {
+                if (!this.isLayerReferenced(layer, entry)) {
+                    this.layerStack.disposeTargets(layer);
+                }
+            });
+        }
+    }
+    
+    isLayerReferenced(layer, ignoredEntry) {
+        if (this.layerStack.layers.includes(layer)) return true;
+        
+        const entries = [...this.history.undoStack, ...this.history.redoStack];
+        return entries.some(entry => entry !== ignoredEntry && entry.stack && entry.stack.layers.includes(layer));
+    }
+    
+    restoreSnapshot(entry) {
+        // Dabs still queued belong to the state being left
+        this.flushDabs();
+        
+        // Swap the snapshot with the live state, so the entry now holds
+        // the state we are leaving and the same entry serves undo and redo
+        entry.layers.forEach(snapshot => {
+            const layer = snapshot.layer;
+            [layer.texture, snapshot.texture] = [snapshot.texture, layer.texture];
+            [layer.framebuffer, snapshot.framebuffer] = [snapshot.framebuffer, layer.framebuffer];
+        });
+        this.markBackupStale(entry.layers.map(snapshot => snapshot.layer));
+        
+        if (entry.stack) {
+            entry.stack = this.layerStack.restore(entry.stack);
+            this.notifyLayersChange();
+        }
+        
+        entry.strokes = this.document.restore(entry.strokes);
+        
+        this.renderToScreen();
+    }
+    
+    undo() {
+        // Undo while a text object is being edited puts it back unchanged
+        if (this.textEdit) {
+            this.cancelTextEdit();
+            return true;
+        }
+        
+        // Undo while a selection is open puts the pixels back where they were
+        if (this.selecting || this.selection.floating) {
+            this.cancelSelection();
+            return true;
+        }
+        
+        if (this.isDrawing) {
+            this.endStroke(false);
+        }
+        
+        const entry = this.history.undo();
+        if (!entry) return false;
+        
+        this.restoreSnapshot(entry);
+        return true;
+    }
+    
+    redo() {
+        if (this.isDrawing) return false;
+        
+        const entry = this.history.redo();
+        if (!entry) return false;
+        
+        this.restoreSnapshot(entry);
+        return true;
+    }
+    
+    canUndo() {
+        return this.history.canUndo();
+    }
+    
+    canRedo() {
+        return this.history.canRedo();
+    }
+    
+    // GPU context loss
+    setupContextLossHandling() {
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            // Without preventDefault the browser never restores the context
+            e.preventDefault();
+            this.handleContextLost();
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => this.handleContextRestored());
+    }
+    
+    handleContextLost() {
+        if (this.contextLost) return;
+        
+        console.warn('⚠️ WebGL context lost - input paused until it is restored');
+        this.contextLost = true;
+        clearTimeout(this.backupTimeout);
+        
+        // Wind up whatever is in progress; the document keeps the finished
+        // strokes, and lifted or edited objects go back where they were
+        if (this.isDrawing) {
+            this.endStroke(false);
+        }
+        if (this.selecting || this.selection.floating) {
+            this.cancelSelection();
+        }
+        this.cancelTextEdit();
+        this.guides.endDrag();
+        this.dabQueue = [];
+        
+        if (this.onContextLost) {
+            this.onContextLost();
+        }
+    }
+    
+    handleContextRestored() {
+        if (!this.contextLost) return;
+        
+        console.log('🔄 WebGL context restored - rebuilding programs, buffers and layers');
+        this.contextLost = false;
+        
+        // Every GPU object died with the old context
+        this.layerStack.restoreTargets();
+        this.initWebGL();
+        this.setupBuffers();
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Undo snapshots lived on the GPU too
+        this.history.clear();
+        
+        const source = this.restoreDrawing();
+        this.renderToScreen();
+        this.markBackupStale(this.layerStack.layers);
+        this.backupLayers();
+        
+        console.log(`✅ Drawing restored from ${source}`);
+        if (this.onContextRestored) {
+            this.onContextRestored(source);
+        }
+    }
+    
+    scheduleBackup() {
+        clearTimeout(this.backupTimeout);
+        this.backupTimeout = setTimeout(() => this.backupLayers(), BACKUP_DELAY);
+    }
+    
+    // Every change to a layer's pixels goes through history, so history
+    // tells the backup which layers to read again
+    markBackupStale(layers) {
+        layers.forEach(layer => this.backupStale.add(layer.id));
+    }
+    
+    // CPU copy of every layer (bottom-up rows, premultiplied) and the strokes
+    // it contains. Only layers changed since the last backup are read back
+    backupLayers() {
+        if (this.contextLost) return;
+        
+        // Mid-stroke, or with pixels lifted into a selection, the layers don't match the document
+        if (this.isDrawing || this.selecting || this.selection.floating) {
+            this.scheduleBackup();
+            return;
+        }
+        
+        const gl = this.gl;
+        const { origin, width, height } = this.layerStack;
+        const previous = this.backup && this.backup.width === width && this.backup.height === height ? this.backup.layers : new Map();
+        const layers = new Map();
+        
+        this.flushDabs();
+        this.layerStack.layers.forEach(layer => {
+            let pixels = previous.get(layer.id);
+            if (!pixels || this.backupStale.has(layer.id)) {
+                pixels = pixels || new Uint8Array(width * height * 4);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+                gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            }
+            layers.set(layer.id, pixels);
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        this.backupStale.clear();
+        this.backup = { origin: { ...origin }, width, height, layers, strokes: [...this.document.getStrokes()] };
+    }
+    
+    // Uploads the backup and replays the strokes drawn after it. When the
+    // document has moved on some other way (undo, merge, resize...) the
+    // whole drawing is replayed from the stroke history instead
+    restoreDrawing() {
+        const backup = this.backup;
+        const strokes = this.document.getStrokes();
+        const stack = this.layerStack;
+        const usable = backup && backup.width === stack.width && backup.height === stack.height &&
+            backup.origin.x === stack.origin.x && backup.origin.y === stack.origin.y &&
+            backup.strokes.length <= strokes.length && backup.strokes.every((stroke, i) => strokes[i] === stroke) &&
+            !strokes.slice(backup.strokes.length).some(stroke => stroke.merge);
+        
+        if (!usable) {
+            this.replayStrokes(strokes);
+            return 'stroke history';
+        }
+        
+        const gl = this.gl;
+        this.layerStack.layers.forEach(layer => {
+            const pixels = backup.layers.get(layer.id);
+            if (!pixels) return;
+            
+            gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, backup.width, backup.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        });
+        this.replayStrokes(strokes.slice(backup.strokes.length));
+        return 'backup';
+    }
+    
+    // Layer management
+    getLayers() {
+        return this.layerStack.layers;
+    }
+    
+    getActiveLayerIndex() {
+        return this.layerStack.activeIndex;
+    }
+    
+    setActiveLayer(index) {
+        if (this.isDrawing) {
+            this.endStroke();
+        }
+        this.commitSelection();
+        
+        this.layerStack.setActive(index);
+        this.notifyLayersChange();
+    }
+    
+    addLayer(name) {
+        this.commitSelection();
+        this.recordHistory([], true);
+        
+        const layer = this.layerStack.addLayer(name);
+        this.notifyLayersChange();
+        this.renderToScreen();
+        return layer;
+    }
+    
+    deleteLayer(index = this.layerStack.activeIndex) {
+        if (this.layerStack.layers.length <= 1) return false;
+        
+        this.commitSelection();
+        this.recordHistory([], true);
+        
+        // The layer's targets stay alive for undo and are freed with the entry
+        const layer = this.layerStack.removeLayer(index);
+        this.document.removeLayer(layer.id);
+        
+        this.notifyLayersChange();
+        this.renderToScreen();
+        return true;
+    }
+    
+    moveLayer(from, to) {
+        if (!this.layerStack.layers[from] || !this.layerStack.layers[to]) return false;
+        
+        this.commitSelection();
+        this.recordHistory([], true);
+        this.layerStack.moveLayer(from, to);
+        
+        this.notifyLayersChange();
+        this.renderToScreen();
+        return true;
+    }
+    
+    mergeLayerDown(index = this.layerStack.activeIndex) {
+        const layers = this.layerStack.layers;
+        const upper = layers[index];
+        const lower = layers[index - 1];
+        if (!upper || !lower) return false;
+        
+        this.commitSelection();
+        this.recordHistory([lower], true);
+        
+        if (upper.visible) {
+            // The upper strokes stay on their own layer id and the merge is
+            // recorded after them, so a replay flattens them the same way;
+            // its text becomes part of the lower layer's pixels
+            const ids = this.document.getMergedLayerIds(upper.id);
+            this.document.restore(this.document.getStrokes().map(stroke => {
+                return stroke.text && !stroke.text.flattened && ids.has(stroke.layerId) ? { ...stroke, text: { ...stroke.text, flattened: true } } : stroke;
+            }));
+            
+            const stroke = this.document.createStroke({
+                tool: 'merge',
+                color: this.currentColor,
+                size: 0,
+                layerId: lower.id,
+                mode: 'merge',
+                merge: { layerId: upper.id, opacity: upper.opacity, blendMode: upper.blendMode }
+            });
+            this.drawMergedLayer(upper, lower, stroke.merge);
+            this.document.commit(stroke);
+        } else {
+            // Hidden content isn't merged, so it is gone from the document too
+            this.document.removeLayer(upper.id);
+        }
+        
+        this.layerStack.removeLayer(index);
+        this.layerStack.setActive(layers.indexOf(lower));
+        
+        this.notifyLayersChange();
+        this.renderToScreen();
+        return true;
+    }
+    
+    // Flattens a layer into the one below with its blend settings
+    drawMergedLayer(source, target, merge) {
+        this.flushDabs();
+        this.setBlendMode(merge.blendMode);
+        this.drawTexture(source.texture, target.framebuffer, merge.opacity);
+        this.gl.blendFunc(this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
+    }
+    
+    // Replays a merge from the target the merged layer's strokes were drawn into
+    applyMerge(stroke, layer) {
+        const source = this.mergeSources && this.mergeSources.get(stroke.merge.layerId);
+        if (!source) return;
+        
+        this.drawMergedLayer(source, layer, stroke.merge);
+        this.layerStack.disposeTargets(source);
+        this.mergeSources.set(stroke.merge.layerId, null);
+    }
+    
+    setLayerOpacity(index, opacity) {
+        const layer = this.layerStack.layers[index];
+        if (!layer) return;
+        
+        layer.opacity = Math.max(0, Math.min(1, opacity));
+        this.renderToScreen();
+    }
+    
+    setLayerVisibility(index, visible) {
+        const layer = this.layerStack.layers[index];
+        if (!layer) return;
+        
+        layer.visible = visible;
+        this.notifyLayersChange();
+        this.renderToScreen();
+    }
+    
+    setLayerLocked(index, locked) {
+        const layer = this.layerStack.layers[index];
+        if (!layer) return;
+        
+        layer.locked = locked;
+        this.notifyLayersChange();
+    }
+    
+    setLayerBlendMode(index, blendMode) {
+        const layer = this.layerStack.layers[index];
+        if (!layer || !BLEND_MODES.includes(blendMode)) return;
+        
+        layer.blendMode = blendMode;
+        this.renderToScreen();
+    }
+    
+    notifyLayersChange() {
+        if (this.onLayersChange) {
+            this.onLayersChange(this.layerStack.layers, this.layerStack.activeIndex);
+        }
+    }
+    
+    // Flattened document as straight-alpha RGBA rows, top row first, the
+    // size of getDocumentBounds()
+    getImageData() {
+        const bounds = this.getDocumentBounds();
+        return this.readCompositePixels(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+    
+    // Flattened committed layers (without the checkerboard or a stroke
+    // preview) for a document-space rectangle, as un-premultiplied RGBA
+    // rows from the top; pixels outside the document read as transparent
+    readCompositePixels(x, y, width, height) {
+        const gl = this.gl;
+        const { origin, height: documentHeight } = this.layerStack;
+        const pixels = new Uint8Array(width * height * 4);
+        
+        this.compositeLayers(this.compositeFramebuffer, false);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.compositeFramebuffer);
+        gl.readPixels(x - origin.x, documentHeight - (y - origin.y) - height, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        // Framebuffer rows run bottom-up and hold premultiplied colour
+        const rowSize = width * 4;
+        const result = new Uint8ClampedArray(pixels.length);
+        for (let row = 0; row < height; row++) {
+            const source = (height - 1 - row) * rowSize;
+            const target = row * rowSize;
+            for (let i = 0; i < rowSize; i += 4) {
+                const alpha = pixels[source + i + 3];
+                const scale = alpha > 0 ? 255 / alpha : 0;
+                result[target + i] = pixels[source + i] * scale;
+                result[target + i + 1] = pixels[source + i + 1] * scale;
+                result[target + i + 2] = pixels[source + i + 2] * scale;
+                result[target + i + 3] = alpha;
+            }
+        }
+        
+        return result;
+    }
+    
+    // Average colour of the size x size block around a document point,
+    // or null where nothing has been painted
+    sampleColor(x, y, size = 1) {
+        const half = Math.floor(size / 2);
+        const pixels = this.readCompositePixels(Math.floor(x) - half, Math.floor(y) - half, size, size);
+        return WebGLUtils.averageColor(pixels, size, 0, 0, size);
     }
 }
@@ -0,0 +1,114 @@
+// Colour sampling from the canvas with a magnifier loupe
+const EYEDROPPER_SAMPLE_SIZES = [1, 3, 5, 11]; // point sample, then N x N averages
+const LOUPE_PIXELS = 11; // canvas pixels across the loupe
+const LOUPE_SIZE = 110;  // loupe diameter in CSS pixels
+
+class Eyedropper {
+    constructor(drawingEngine, loupe) {
+        this.drawingEngine = drawingEngine;
+        this.loupe = loupe; // canvas element floating over the drawing
+        this.sampleSize = 1;
+        this.onPick = null;
+        this.pendingLoupe = null; // latest hover, read on the next animation frame
+        this.loupeFrame = null;
+        
+        if (this.loupe) {
+            this.loupe.width = LOUPE_SIZE;
+            this.loupe.height = LOUPE_SIZE;
+            this.loupeContext = this.loupe.getContext('2d');
+            
+            // Scratch canvas holding the unscaled pixels for the loupe
+            this.scratch = document.createElement('canvas');
+            this.scratch.width = LOUPE_PIXELS;
+            this.scratch.height = LOUPE_PIXELS;
+        }
+    }
+    
+    setSampleSize(size) {
+        this.sampleSize = EYEDROPPER_SAMPLE_SIZES.includes(size) ? size : 1;
+    }
+    
+    // Hex colour under a document point, or null over unpainted canvas
+    sample(x, y) {
+        const color = this.drawingEngine.sampleColor(x, y, this.sampleSize);
+        return color ? Eyedropper.toHex(color) : null;
+    }
+    
+    pick(x, y) {
+        const color = this.sample(x, y);
+        this.hideLoupe();
+        
+        if (color && this.onPick) {
+            this.onPick(color);
+        }
+        return color;
+    }
+    
+    // screenX/screenY place the loupe (CSS pixels in the canvas container),
+    // x/y are the document point being sampled. Pointer moves come faster
+    // than frames, so only the last one before each frame reads the canvas
+    showLoupe(screenX, screenY, x, y) {
+        if (!this.loupe) return;
+        
+        this.pendingLoupe = { screenX, screenY, x, y };
+        if (this.loupeFrame === null) {
+            this.loupeFrame = requestAnimationFrame(() => {
+                this.loupeFrame = null;
+                const { screenX, screenY, x, y } = this.pendingLoupe;
+                this.pendingLoupe = null;
+                this.drawLoupe(screenX, screenY, x, y);
+            });
+        }
+    }
+    
+    // One small read serves both the magnified pixels and the ring colour
+    drawLoupe(screenX, screenY, x, y) {
+        const half = Math.floor(LOUPE_PIXELS / 2);
+        const pixels = this.drawingEngine.readCompositePixels(Math.floor(x) - half, Math.floor(y) - half, LOUPE_PIXELS, LOUPE_PIXELS);
+        const scratchContext = this.scratch.getContext('2d');
+        scratchContext.putImageData(new ImageData(pixels, LOUPE_PIXELS, LOUPE_PIXELS), 0, 0);
+        
+        const ctx = this.loupeContext;
+        const cell = LOUPE_SIZE / LOUPE_PIXELS;
+        ctx.clearRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.scratch, 0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        
+        // Outline the pixels that will be averaged
+        const sampled = Math.min(this.sampleSize, LOUPE_PIXELS);
+        const offset = (LOUPE_PIXELS - sampled) / 2 * cell;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(offset, offset, sampled * cell, sampled * cell);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(offset - 1.5, offset - 1.5, sampled * cell + 3, sampled * cell + 3);
+        
+        // The ring shows the colour that would be picked, averaged from the outlined pixels
+        const first = half - Math.floor(sampled / 2);
+        const color = WebGLUtils.averageColor(pixels, LOUPE_PIXELS, first, first, sampled);
+        this.loupe.style.borderColor = color ? Eyedropper.toHex(color) : 'transparent';
+        this.loupe.hidden = false;
+        
+        // Centred above the point so the finger or cursor doesn't cover it
+        const size = this.loupe.offsetWidth;
+        this.loupe.style.left = `${screenX - size / 2}px`;
+        this.loupe.style.top = `${screenY - size - 20}px`;
+    }
+    
+    hideLoupe() {
+        if (this.loupeFrame !== null) {
+            cancelAnimationFrame(this.loupeFrame);
+            this.loupeFrame = null;
+            this.pendingLoupe = null;
+        }
+        if (this.loupe) {
+            this.loupe.hidden = true;
+        }
+    }
+    
+    static toHex(color) {
+        const hex = (value) => value.toString(16).padStart(2, '0');
+        return ('#' + hex(color.r) + hex(color.g) + hex(color.b)).toUpperCase();
+    }
+}
@@ -0,0 +1,150 @@
+// Flood fill over composited pixels - produces a coverage mask for the bucket tool
+const FILL_DEFAULTS = {
+    tolerance: 0.1,   // allowed colour difference from the clicked pixel, 0-1
+    gapClose: 0,      // close gaps in outlines up to this many pixels wide
+    antialias: true   // blend into soft edges instead of stopping short of them
+};
+
+class FloodFill {
+    // pixels: un-premultiplied RGBA rows, top row first (as getImageData returns).
+    // Returns a Uint8Array of per-pixel coverage (0-255), or null if the seed is off canvas.
+    static fill(pixels, width, height, x, y, options = {}) {
+        const settings = { ...FILL_DEFAULTS, ...options };
+        x = Math.floor(x);
+        y = Math.floor(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return null;
+        
+        const distances = FloodFill.getDistances(pixels, width, height, y * width + x);
+        const threshold = Math.max(0, Math.min(1, settings.tolerance)) * 255;
+        const open = new Uint8Array(width * height);
+        for (let i = 0; i < open.length; i++) {
+            open[i] = distances[i] <= threshold ? 1 : 0;
+        }
+        
+        let region;
+        const gap = Math.round(settings.gapClose);
+        if (gap > 0) {
+            // Thicken the outlines so narrow gaps close, fill inside them, then
+            // grow the fill back out to the real outline
+            const closed = FloodFill.invert(FloodFill.dilate(FloodFill.invert(open), width, height, gap));
+            const seed = y * width + x;
+            const source = closed[seed] ? closed : open;
+            region = FloodFill.scanlineFill(source, width, height, x, y);
+            
+            if (source === closed) {
+                const grown = FloodFill.dilate(region, width, height, gap);
+                for (let i = 0; i < grown.length; i++) {
+                    region[i] = grown[i] & open[i];
+                }
+            }
+        } else {
+            region = FloodFill.scanlineFill(open, width, height, x, y);
+        }
+        
+        const coverage = new Uint8Array(width * height);
+        for (let i = 0; i < region.length; i++) {
+            coverage[i] = region[i] ? 255 : 0;
+        }
+        
+        if (settings.antialias) {
+            FloodFill.softenEdges(coverage, region, distances, width, height, threshold);
+        }
+        return coverage;
+    }
+    
+    // Largest channel difference from the seed, compared premultiplied so
+    // every fully transparent pixel counts as the same colour
+    static getDistances(pixels, width, height, seed) {
+        const seedAlpha = pixels[seed * 4 + 3] / 255;
+        const seedR = pixels[seed * 4] * seedAlpha;
+        const seedG = pixels[seed * 4 + 1] * seedAlpha;
+        const seedB = pixels[seed * 4 + 2] * seedAlpha;
+        const seedA = pixels[seed * 4 + 3];
+        const distances = new Uint8Array(width * height);
+        
+        for (let i = 0; i < distances.length; i++) {
+            const alpha = pixels[i * 4 + 3] / 255;
+            distances[i] = Math.max(
+                Math.abs(pixels[i * 4] * alpha - seedR),
+                Math.abs(pixels[i * 4 + 1] * alpha - seedG),
+                Math.abs(pixels[i * 4 + 2] * alpha - seedB),
+                Math.abs(pixels[i * 4 + 3] - seedA)
+            );
+        }
+        return distances;
+    }
+    
+    static scanlineFill(open, width, height, x, y) {
+        const region = new Uint8Array(width * height);
+        const stack = [y * width + x];
+        
+        while (stack.length > 0) {
+            const index = stack.pop();
+            if (region[index] || !open[index]) continue;
+            
+            // Walk to the ends of this run, then queue the rows above and below
+            const row = Math.floor(index / width) * width;
+            let left = index;
+            let right = index;
+            while (left > row && open[left - 1] && !region[left - 1]) left--;
+            while (right < row + width - 1 && open[right + 1] && !region[right + 1]) right++;
+            
+            for (let i = left; i <= right; i++) {
+                region[i] = 1;
+                if (i >= width && open[i - width] && !region[i - width]) stack.push(i - width);
+                if (i < region.length - width && open[i + width] && !region[i + width]) stack.push(i + width);
+            }
+        }
+        return region;
+    }
+    
+    // Square dilation by radius, as two separable passes over running counts
+    static dilate(mask, width, height, radius) {
+        const horizontal = new Uint8Array(mask.length);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let count = 0;
+            for (let x = 0; x < Math.min(radius, width); x++) count += mask[row + x];
+            for (let x = 0; x < width; x++) {
+                if (x + radius < width) count += mask[row + x + radius];
+                if (x - radius - 1 >= 0) count -= mask[row + x - radius - 1];
+                horizontal[row + x] = count > 0 ? 1 : 0;
+            }
+        }
+        
+        const result = new Uint8Array(mask.length);
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            for (let y = 0; y < Math.min(radius, height); y++) count += horizontal[y * width + x];
+            for (let y = 0; y < height; y++) {
+                if (y + radius < height) count += horizontal[(y + radius) * width + x];
+                if (y - radius - 1 >= 0) count -= horizontal[(y - radius - 1) * width + x];
+                result[y * width + x] = count > 0 ? 1 : 0;
+            }
+        }
+        return result;
+    }
+    
+    static invert(mask) {
+        return mask.map(value => value ? 0 : 1);
+    }
+    
+    // Pixels bordering the fill get partial coverage by how close they are
+    // to the seed colour, so anti-aliased outlines keep their soft edge
+    static softenEdges(coverage, region, distances, width, height, threshold) {
+        const range = Math.max(1, 255 - threshold);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (region[i]) continue;
+                
+                const touches = (x > 0 && region[i - 1]) || (x < width - 1 && region[i + 1]) ||
+                    (y > 0 && region[i - width]) || (y < height - 1 && region[i + width]);
+                if (touches) {
+                    coverage[i] = Math.round(255 * Math.max(0, 1 - (distances[i] - threshold) / range));
+                }
+            }
+        }
+    }
+}
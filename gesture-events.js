@@ -0,0 +1,79 @@
+// Typed gesture events - the recognisers publish, the engine, the UI and anyone else subscribe.
+// Recognisers may read the engine (tool, view, selection) but change it only through these events
+//
+// Positions are in document coordinates; motion on the screen (pinch, navigate, swipe) is in canvas pixels
+//
+//   strokeStart          { x, y, pressure, source, pen, gesture, time }  a camera 'pinch' grabs the selection
+//   strokeMove           { x, y, pressure, source, pen, gesture, time }  time: when sampled, in Date.now() ms
+//   strokePredict        { points }                                      [{ x, y, pressure }] ahead of the stroke
+//   strokeEnd            { source, cancelled }
+//   constrainChanged     { constrain }                                   Shift held or released
+//   toolChange           { tool, source }
+//   tap                  { x, y, fingers, action }
+//   doubleTap            { x, y, fingers }
+//   longPress            { x, y, pointerType, duration }
+//   swipe                { direction, dx, dy, velocity, pointerType }
+//   pinch                { phase, x, y, dx, dy, scale, rotation }
+//   navigate             { x, y, dx, dy, scale, rotation }               wheel zoom and space-drag
+//   palmRejected         { pointerType }
+//   cameraGestureChanged { gesture, previous, confidence }
+//   cameraFeedback       { message }                                     hold progress and results
+//
+// Every event also carries its type and a timestamp.
+const GESTURE_EVENT_TYPES = [
+    'strokeStart', 'strokeMove', 'strokePredict', 'strokeEnd', 'constrainChanged', 'toolChange',
+    'tap', 'doubleTap', 'longPress', 'swipe', 'pinch', 'navigate', 'palmRejected',
+    'cameraGestureChanged', 'cameraFeedback'
+];
+
+class GestureEventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> handlers in subscription order
+        GESTURE_EVENT_TYPES.forEach(type => this.listeners.set(type, []));
+    }
+    
+    // Returns a function that unsubscribes again
+    on(type, handler) {
+        this.getListeners(type).push(handler);
+        return () => this.off(type, handler);
+    }
+    
+    once(type, handler) {
+        const unsubscribe = this.on(type, (event) => {
+            unsubscribe();
+            handler(event);
+        });
+        return unsubscribe;
+    }
+    
+    off(type, handler) {
+        const listeners = this.getListeners(type);
+        const index = listeners.indexOf(handler);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    // Handlers run right away, so the engine has drawn a point before the
+    // recogniser reads the next one; a failing handler doesn't stop the others
+    emit(type, detail = {}) {
+        const event = { ...detail, type, timestamp: Date.now() };
+        
+        [...this.getListeners(type)].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`❌ Error in ${type} handler:`, error);
+            }
+        });
+        return event;
+    }
+    
+    getListeners(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(`Unknown gesture event: ${type}`);
+        }
+        return listeners;
+    }
+}
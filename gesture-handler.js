@@ -1,10 +1,13 @@
 // Advanced gesture recognition for drawing and UI interactions
 class GestureHandler {
-    constructor(canvas, drawingEngine) {
+    constructor(canvas, drawingEngine, events) {
         this.canvas = canvas;
         this.drawingEngine = drawingEngine;
+        this.events = events; // GestureEventBus the recognised gestures are published on
         this.isDrawing = false;
-        this.touches = new Map();
+        this.strokeSource = null;
+        this.pointers = new Map(); // pointerId -> where and when it went down
+        this.drawingPointerId = null; // the pointer drawing the current stroke
         this.gestureStartTime = 0;
         this.gestureStartPos = null;
         this.lastMoveTime = 0;
@@ -16,39 +19,83 @@ class GestureHandler {
         this.tapDistanceThreshold = 10; // pixels
         this.palmThreshold = 50; // minimum size for palm detection
         this.drawingVelocityThreshold = 100; // pixels/second
+        this.longPressDelay = 500; // ms a pointer is held still for a long press
+        this.longPressTimer = null;
+        this.swipeTime = 300; // ms a flick may take
+        this.swipeDistance = 80; // CSS pixels a flick must cover
+        
+        // Palm rejection - the hand holding the pen must not draw
+        this.palmMode = 'reject'; // 'erase' turns a palm into the eraser until it lifts
+        this.penRejectionTime = 1000; // ms touches stay ignored after the pen was last seen
+        this.lastPenTime = 0;
+        this.palmPreviousTool = null; // tool to restore when a palm eraser lifts
         
         // Smoothing for pressure sensitivity
         this.pressureHistory = [];
         this.pressureHistorySize = 5;
         
+        // Predicted pointer positions are previewed ahead of the stroke to hide latency
+        this.predictionEnabled = true;
+        
+        // Shift constrains shapes; published only when it changes
+        this.constrain = false;
+        
+        // View navigation - space-drag or middle button pans, wheel zooms
+        this.spacePressed = false;
+        this.isPanning = false;
+        this.lastPanPos = null;
+        this.savedCursor = undefined;
+        this.wheelZoomSpeed = 0.0015;
+        this.wheelRotateStep = Math.PI / 12; // 15 degrees per notch with Shift
+        
+        // Two fingers pinch to zoom, drag to pan and twist to rotate the view
+        this.navigation = null; // set from the second touch until every finger is lifted
+        this.strokeCancelWindow = 250; // ms - a stroke this young was the first finger of the gesture
+        this.doubleTapInterval = 300; // ms between the two taps of a two-finger double tap
+        
+        // Multi-finger taps are shortcuts; two-finger taps wait out the double tap first
+        this.multiTapThreshold = 300; // ms every finger may stay down
+        this.multiTapDistanceThreshold = 15; // CSS pixels any finger may travel
+        this.tapShortcuts = { 2: 'undo', 3: 'redo', 4: 'clear' };
+        this.pendingTap = null; // { timer, origin } of a two-finger tap that may become a double tap
+        this.heldTouch = null; // pointerdown of a finger that may start the second tap
+        this.pendingOneShot = null; // { timer, event, x, y } of a fill or text box not placed yet
+        
+        // Eyedropper - press to show the loupe, release to pick
+        this.eyedropper = null;
+        this.isSampling = false;
+        
+        // Input is ignored while the drawing engine waits for its GPU context
+        this.paused = false;
+        
         this.setupEventListeners();
     }
     
     setupEventListeners() {
-        // Mouse events for desktop
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
-        
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
-        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this), { passive: false });
+        // Pointer events cover mouse, pen and touch
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave.bind(this));
+        
+        // View navigation
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keyup', this.handleKeyUp.bind(this));
         
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Prevent scrolling when drawing
         document.addEventListener('touchmove', (e) => {
-            if (this.isDrawing) {
+            if (this.isDrawing || this.navigation) {
                 e.preventDefault();
             }
         }, { passive: false });
     }
     
-    getCanvasCoordinates(clientX, clientY) {
+    getScreenCoordinates(clientX, clientY) {
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
@@ -59,6 +106,16 @@ class GestureHandler {
         };
     }
     
+    // Document-space position under the pointer, through the inverse view transform
+    getCanvasCoordinates(clientX, clientY) {
+        return this.toDocument(this.getScreenCoordinates(clientX, clientY));
+    }
+    
+    // Gestures are measured on screen but published with document positions
+    toDocument(screen) {
+        return this.drawingEngine.screenToDocument(screen.x, screen.y);
+    }
+    
     calculatePressure(force, radiusX, radiusY) {
         // Simulate pressure based on touch size and force
         let pressure = 1.0;
@@ -80,6 +137,31 @@ class GestureHandler {
         return this.pressureHistory.reduce((sum, p) => sum + p, 0) / this.pressureHistory.length;
     }
     
+    // Pens report real pressure; touch falls back to the contact size, since
+    // browsers without touch pressure report a constant 0.5; mice press fully
+    getPointerPressure(e) {
+        if (e.pointerType === 'pen') {
+            return e.pressure;
+        }
+        if (e.pointerType === 'touch') {
+            return this.calculatePressure(e.pressure !== 0.5 ? e.pressure : undefined, e.width / 2, e.height / 2);
+        }
+        return 1.0;
+    }
+    
+    // When the sample was taken, in Date.now() time - coalesced samples are
+    // handled together, well after the first of them happened
+    getEventTime(e) {
+        return e.timeStamp ? performance.timeOrigin + e.timeStamp : Date.now();
+    }
+    
+    // Stylus tilt and barrel twist in degrees, for the brush tip
+    getPenInput(e) {
+        if (e.pointerType !== 'pen') return null;
+        
+        return { tiltX: e.tiltX || 0, tiltY: e.tiltY || 0, twist: e.twist || 0 };
+    }
+    
     calculateVelocity(x, y, timestamp) {
         if (this.lastMoveTime > 0) {
             const deltaTime = timestamp - this.lastMoveTime;
@@ -95,13 +177,15 @@ class GestureHandler {
         this.lastMoveTime = timestamp;
     }
     
-    detectGestureType(touch) {
-        const radiusX = touch.radiusX || 0;
-        const radiusY = touch.radiusY || 0;
-        const avgRadius = (radiusX + radiusY) / 2;
-        
-        // Palm detection based on touch size
-        if (avgRadius > this.palmThreshold) {
+    // Palm detection based on touch size
+    isPalmContact(e) {
+        const radiusX = (e.width || 0) / 2;
+        const radiusY = (e.height || 0) / 2;
+        return (radiusX + radiusY) / 2 > this.palmThreshold;
+    }
+    
+    detectGestureType(e) {
+        if (this.isPalmContact(e)) {
             return 'palm';
         }
         
@@ -114,131 +198,617 @@ class GestureHandler {
         return 'tap';
     }
     
-    updateGestureIndicator(gestureType) {
-        const indicator = document.getElementById('gestureIndicator');
-        if (!indicator) return;
+    // View navigation handlers
+    handleWheel(e) {
+        e.preventDefault();
         
-        indicator.className = 'gesture-indicator';
+        const screen = this.getScreenCoordinates(e.clientX, e.clientY);
+        const view = { x: screen.x, y: screen.y, dx: 0, dy: 0, scale: 1, rotation: 0 };
         
-        switch (gestureType) {
-            case 'draw':
-                indicator.textContent = 'Drawing...';
-                indicator.classList.add('drawing');
-                break;
-            case 'palm':
-                indicator.textContent = 'Eraser mode';
-                indicator.classList.add('erasing');
-                break;
-            case 'tap':
-                indicator.textContent = 'Tap detected';
-                break;
-            default:
-                indicator.textContent = 'Ready to draw';
+        if (e.shiftKey) {
+            view.rotation = Math.sign(e.deltaY || e.deltaX) * this.wheelRotateStep;
+        } else {
+            // Line and page deltas are far coarser than pixel deltas
+            const scale = e.deltaMode === 1 ? 30 : (e.deltaMode === 2 ? 300 : 1);
+            view.scale = Math.exp(-e.deltaY * scale * this.wheelZoomSpeed);
         }
+        this.events.emit('navigate', view);
     }
     
-    // Mouse event handlers
-    handleMouseDown(e) {
-        e.preventDefault();
-        const coords = this.getCanvasCoordinates(e.clientX, e.clientY);
-        this.startGesture(coords.x, coords.y, Date.now(), 1.0);
+    setConstrain(constrain) {
+        if (constrain === this.constrain) return;
+        
+        this.constrain = constrain;
+        this.events.emit('constrainChanged', { constrain });
     }
     
-    handleMouseMove(e) {
-        if (!this.isDrawing) return;
+    handleKeyDown(e) {
+        // Shift constrains shapes, also when pressed mid-drag
+        if (e.key === 'Shift') {
+            this.setConstrain(true);
+        }
+        
+        if (e.code !== 'Space' || this.isTextInput(e.target)) return;
+        
+        // Stop the page from scrolling while space is held for panning
         e.preventDefault();
+        if (!this.spacePressed) {
+            this.spacePressed = true;
+            this.setPanCursor('grab');
+        }
+    }
+    
+    handleKeyUp(e) {
+        if (e.key === 'Shift') {
+            this.setConstrain(false);
+        }
         
-        const coords = this.getCanvasCoordinates(e.clientX, e.clientY);
-        const timestamp = Date.now();
+        if (e.code !== 'Space') return;
         
-        this.calculateVelocity(coords.x, coords.y, timestamp);
-        this.continueGesture(coords.x, coords.y, timestamp, 1.0);
+        this.spacePressed = false;
+        this.endPan();
     }
     
-    handleMouseUp(e) {
-        if (!this.isDrawing) return;
-        e.preventDefault();
+    setPanCursor(cursor) {
+        // Remember the tool cursor so it comes back after panning
+        if (this.savedCursor === undefined) {
+            this.savedCursor = this.canvas.style.cursor;
+        }
+        this.canvas.style.cursor = cursor;
+    }
+    
+    restoreCursor() {
+        if (this.savedCursor === undefined) return;
         
-        const coords = this.getCanvasCoordinates(e.clientX, e.clientY);
-        this.endGesture(coords.x, coords.y, Date.now());
+        this.canvas.style.cursor = this.savedCursor;
+        this.savedCursor = undefined;
+    }
+    
+    isTextInput(element) {
+        return element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+    }
+    
+    startPan(clientX, clientY) {
+        this.isPanning = true;
+        this.lastPanPos = this.getScreenCoordinates(clientX, clientY);
+        this.setPanCursor('grabbing');
+    }
+    
+    continuePan(clientX, clientY) {
+        const screen = this.getScreenCoordinates(clientX, clientY);
+        this.events.emit('navigate', {
+            x: screen.x,
+            y: screen.y,
+            dx: screen.x - this.lastPanPos.x,
+            dy: screen.y - this.lastPanPos.y,
+            scale: 1,
+            rotation: 0
+        });
+        this.lastPanPos = screen;
     }
     
-    // Touch event handlers
-    handleTouchStart(e) {
+    endPan() {
+        this.isPanning = false;
+        this.lastPanPos = null;
+        
+        if (this.spacePressed) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.restoreCursor();
+        }
+    }
+    
+    // Pointer event handlers
+    handlePointerDown(e) {
         e.preventDefault();
+        if (this.paused) return;
         
-        for (let touch of e.changedTouches) {
-            const coords = this.getCanvasCoordinates(touch.clientX, touch.clientY);
-            const pressure = this.calculatePressure(touch.force, touch.radiusX, touch.radiusY);
-            
-            this.touches.set(touch.identifier, {
-                x: coords.x,
-                y: coords.y,
-                startTime: Date.now(),
-                pressure: pressure
-            });
-            
-            // Only handle single touch for drawing
-            if (this.touches.size === 1) {
-                this.startGesture(coords.x, coords.y, Date.now(), pressure, touch);
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+            this.rejectTouches();
+        } else if (e.pointerType === 'touch' && this.isTouchRejected(e)) {
+            return;
+        }
+        
+        // Keep the pointer's events when it leaves the canvas mid-stroke
+        this.canvas.setPointerCapture(e.pointerId);
+        
+        const coords = this.getCanvasCoordinates(e.clientX, e.clientY);
+        this.pointers.set(e.pointerId, {
+            x: coords.x,
+            y: coords.y,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            startClientX: e.clientX,
+            startClientY: e.clientY,
+            type: e.pointerType,
+            startTime: Date.now()
+        });
+        
+        // A second finger turns the touch into view navigation
+        if (this.navigation) {
+            this.updateNavigation();
+            return;
+        }
+        if (e.pointerType === 'touch' && this.getTouches().length === 2 && !this.isPanning) {
+            this.startNavigation();
+            return;
+        }
+        
+        // Only the first pointer down draws
+        if (this.pointers.size > 1) {
+            this.cancelLongPress();
+            return;
+        }
+        
+        // A finger right after a two-finger tap may be the start of a double tap,
+        // so it waits for the tap to be decided; other input decides it at once
+        if (this.pendingTap) {
+            if (e.pointerType === 'touch') {
+                this.heldTouch = e;
+                return;
             }
+            this.firePendingTap();
+        }
+        
+        this.startLongPress(e.pointerId);
+        
+        // Space-drag and the middle button move the view instead of drawing
+        if ((this.spacePressed || e.button === 1) && !this.isDrawing) {
+            this.startPan(e.clientX, e.clientY);
+            return;
+        }
+        
+        if (this.isEyedropperActive(e.altKey)) {
+            this.isSampling = true;
+            this.previewSample(e.clientX, e.clientY);
+            return;
         }
+        
+        this.drawingPointerId = e.pointerId;
+        this.setConstrain(e.shiftKey);
+        
+        // A fill or a text box can't be taken back like a stroke, so a finger
+        // waits until it can no longer be the first of a multi-finger tap
+        if (e.pointerType === 'touch' && this.isOneShotTool()) {
+            const timer = setTimeout(() => this.firePendingOneShot(), this.strokeCancelWindow);
+            this.pendingOneShot = { timer, event: e, x: coords.x, y: coords.y };
+            return;
+        }
+        this.startGesture(coords.x, coords.y, this.getEventTime(e), this.getPointerPressure(e), e);
     }
     
-    handleTouchMove(e) {
+    handlePointerMove(e) {
+        // A hovering pen counts as in use too
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+        }
+        
+        const pointer = this.pointers.get(e.pointerId);
+        if (pointer) {
+            pointer.clientX = e.clientX;
+            pointer.clientY = e.clientY;
+            if (this.getTravel(pointer) > this.tapDistanceThreshold) {
+                this.cancelLongPress();
+            }
+        }
+        
+        if (this.navigation) {
+            e.preventDefault();
+            if (pointer) {
+                this.trackTapMovement(pointer);
+                this.continueNavigation();
+            }
+            return;
+        }
+        
+        if (this.isPanning) {
+            e.preventDefault();
+            this.continuePan(e.clientX, e.clientY);
+            return;
+        }
+        
+        // The loupe also follows the hovering eyedropper
+        if (this.isSampling || (!this.isDrawing && this.pointers.size === 0 && this.isEyedropperActive())) {
+            this.previewSample(e.clientX, e.clientY);
+            return;
+        }
+        
+        if (!this.isDrawing || e.pointerId !== this.drawingPointerId) return;
         e.preventDefault();
         
-        for (let touch of e.changedTouches) {
-            if (!this.touches.has(touch.identifier)) continue;
-            
-            const coords = this.getCanvasCoordinates(touch.clientX, touch.clientY);
-            const pressure = this.calculatePressure(touch.force, touch.radiusX, touch.radiusY);
-            const timestamp = Date.now();
+        // A fingertip that spreads into a palm takes its stroke back
+        if (e.pointerType === 'touch' && this.palmMode === 'reject' && this.isPalmContact(e)) {
+            this.cancelGesture();
+            this.pointers.delete(e.pointerId);
+            this.events.emit('palmRejected', { pointerType: e.pointerType });
+            return;
+        }
+        
+        this.setConstrain(e.shiftKey);
+        
+        // Moves are delivered once per frame; the coalesced events hold every sample in between
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        const samples = coalesced.length > 0 ? coalesced : [e];
+        samples.forEach(sample => {
+            const coords = this.getCanvasCoordinates(sample.clientX, sample.clientY);
+            const timestamp = this.getEventTime(sample);
             
             this.calculateVelocity(coords.x, coords.y, timestamp);
-            
-            // Update touch data
-            const touchData = this.touches.get(touch.identifier);
-            touchData.x = coords.x;
-            touchData.y = coords.y;
-            touchData.pressure = pressure;
-            
-            // Only handle single touch for drawing
-            if (this.touches.size === 1 && this.isDrawing) {
-                this.continueGesture(coords.x, coords.y, timestamp, pressure, touch);
-            }
+            this.continueGesture(coords.x, coords.y, timestamp, this.getPointerPressure(sample), sample);
+        });
+        
+        if (this.predictionEnabled && e.getPredictedEvents) {
+            const points = e.getPredictedEvents().map(sample => ({
+                ...this.getCanvasCoordinates(sample.clientX, sample.clientY),
+                pressure: this.pressure
+            }));
+            this.events.emit('strokePredict', { points });
         }
     }
     
-    handleTouchEnd(e) {
-        e.preventDefault();
+    handlePointerUp(e) {
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+        }
         
-        for (let touch of e.changedTouches) {
-            if (!this.touches.has(touch.identifier)) continue;
-            
-            const touchData = this.touches.get(touch.identifier);
-            const coords = this.getCanvasCoordinates(touch.clientX, touch.clientY);
-            
-            // Check if this was a tap gesture
-            const duration = Date.now() - touchData.startTime;
-            const distance = Math.sqrt(
-                (coords.x - touchData.x) ** 2 + (coords.y - touchData.y) ** 2
-            );
+        const pointer = this.pointers.get(e.pointerId);
+        this.pointers.delete(e.pointerId);
+        this.cancelLongPress();
+        
+        if (this.navigation) {
+            if (pointer) {
+                this.updateNavigation(e.type === 'pointercancel');
+            }
+            return;
+        }
+        if (this.heldTouch && this.heldTouch.pointerId === e.pointerId) {
+            this.heldTouch = null;
+        }
+        
+        if (this.isPanning) {
+            this.endPan();
+            return;
+        }
+        if (!pointer) return;
+        
+        const coords = this.getCanvasCoordinates(e.clientX, e.clientY);
+        
+        // A touch lifted quickly without moving is a tap
+        if (e.pointerType === 'touch' && e.type === 'pointerup') {
+            const duration = Date.now() - pointer.startTime;
+            const distance = Math.hypot(coords.x - pointer.x, coords.y - pointer.y);
             
             if (duration < this.tapThreshold && distance < this.tapDistanceThreshold) {
-                this.handleTapGesture(coords.x, coords.y);
+                const screen = this.getScreenCoordinates(e.clientX, e.clientY);
+                this.handleTapGesture(screen.x, screen.y);
             }
+        }
+        
+        // A quick tap places its fill or text box as it lifts
+        if (this.pendingOneShot && this.pendingOneShot.event.pointerId === e.pointerId) {
+            if (e.type === 'pointerup') {
+                this.firePendingOneShot();
+            } else {
+                this.cancelPendingOneShot();
+            }
+        }
+        
+        // A cancelled pointer hides the loupe without picking
+        if (this.isSampling) {
+            if (this.pointers.size === 0) {
+                this.endSample(e.clientX, e.clientY, e.type === 'pointerup');
+            }
+            return;
+        }
+        
+        if (!this.isDrawing || e.pointerId !== this.drawingPointerId) return;
+        e.preventDefault();
+        
+        const pointerType = this.strokeSource;
+        this.endGesture(coords.x, coords.y, Date.now());
+        
+        // A fast flick is drawn, and announced as a swipe as well
+        const swipe = e.type === 'pointerup' && this.getSwipe(pointer, e);
+        if (swipe) {
+            this.events.emit('swipe', { ...swipe, pointerType });
+        }
+    }
+    
+    getTravel(pointer) {
+        return Math.hypot(pointer.clientX - pointer.startClientX, pointer.clientY - pointer.startClientY);
+    }
+    
+    // Measured in CSS pixels, published in canvas pixels like the pinch
+    getSwipe(pointer, e) {
+        const duration = Date.now() - pointer.startTime;
+        if (duration >= this.swipeTime || this.getTravel(pointer) < this.swipeDistance) return null;
+        
+        const start = this.getScreenCoordinates(pointer.startClientX, pointer.startClientY);
+        const end = this.getScreenCoordinates(e.clientX, e.clientY);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+        return { direction, dx, dy, velocity: Math.hypot(dx, dy) / Math.max(duration, 1) * 1000 };
+    }
+    
+    isOneShotTool() {
+        const tool = this.drawingEngine.currentTool;
+        return tool === 'bucket' || tool === 'text';
+    }
+    
+    firePendingOneShot() {
+        const pending = this.pendingOneShot;
+        clearTimeout(pending.timer);
+        this.pendingOneShot = null;
+        
+        const e = pending.event;
+        this.startGesture(pending.x, pending.y, this.getEventTime(e), this.getPointerPressure(e), e);
+    }
+    
+    cancelPendingOneShot() {
+        if (!this.pendingOneShot) return;
+        
+        clearTimeout(this.pendingOneShot.timer);
+        this.pendingOneShot = null;
+        this.drawingPointerId = null;
+    }
+    
+    // Holding a pointer still announces a long press; what it does is up to the subscribers
+    startLongPress(pointerId) {
+        this.cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            const pointer = this.pointers.get(pointerId);
+            if (!pointer || this.navigation) return;
             
-            this.touches.delete(touch.identifier);
-            
-            // End drawing if this was the drawing touch
-            if (this.touches.size === 0 && this.isDrawing) {
-                this.endGesture(coords.x, coords.y, Date.now());
+            this.events.emit('longPress', {
+                x: pointer.x,
+                y: pointer.y,
+                pointerType: pointer.type,
+                duration: Date.now() - pointer.startTime
+            });
+        }, this.longPressDelay);
+    }
+    
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+    
+    // Pressed pointers are captured, so this only sees a hovering pointer leave
+    handlePointerLeave(e) {
+        if (!this.pointers.has(e.pointerId) && this.eyedropper) {
+            this.eyedropper.hideLoupe();
+        }
+    }
+    
+    // Palm rejection
+    isPenActive() {
+        const penDown = [...this.pointers.values()].some(pointer => pointer.type === 'pen');
+        return penDown || Date.now() - this.lastPenTime < this.penRejectionTime;
+    }
+    
+    isTouchRejected(e) {
+        if (this.isPenActive()) return true;
+        
+        if (this.palmMode === 'reject' && this.isPalmContact(e)) {
+            this.events.emit('palmRejected', { pointerType: e.pointerType });
+            return true;
+        }
+        return false;
+    }
+    
+    // The pen came down - whatever the hand started before it is thrown away
+    rejectTouches() {
+        const drawing = this.pointers.get(this.drawingPointerId);
+        if (this.isDrawing && drawing && drawing.type === 'touch') {
+            this.cancelGesture();
+        }
+        this.cancelPendingOneShot();
+        if (this.navigation) {
+            this.navigation = null;
+            this.events.emit('pinch', { phase: 'end' });
+        }
+        this.heldTouch = null;
+        
+        // Their remaining events find no pointer and are ignored
+        this.pointers.forEach((pointer, pointerId) => {
+            if (pointer.type === 'touch') {
+                this.pointers.delete(pointerId);
             }
+        });
+    }
+    
+    selectTool(tool) {
+        this.events.emit('toolChange', { tool, source: 'touch' });
+    }
+    
+    restorePalmTool() {
+        if (!this.palmPreviousTool) return;
+        
+        this.selectTool(this.palmPreviousTool);
+        this.palmPreviousTool = null;
+    }
+    
+    // Two-finger navigation
+    getTouches() {
+        return [...this.pointers.values()].filter(pointer => pointer.type === 'touch');
+    }
+    
+    // Centre, spread and angle of the first two touches, in screen pixels
+    getTouchFrame() {
+        const touches = this.getTouches();
+        if (touches.length < 2) return null;
+        
+        const a = this.getScreenCoordinates(touches[0].clientX, touches[0].clientY);
+        const b = this.getScreenCoordinates(touches[1].clientX, touches[1].clientY);
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    }
+    
+    startNavigation() {
+        this.heldTouch = null;
+        this.cancelLongPress();
+        this.cancelPendingOneShot();
+        
+        // The loupe of a touch sample closes without picking
+        if (this.isSampling) {
+            this.endSample(0, 0, false);
         }
+        
+        // A stroke begun just before the second finger landed was never meant as one.
+        // An older one is kept, and then the fingers can't be a tap either
+        let tap = true;
+        if (this.isDrawing) {
+            if (Date.now() - this.gestureStartTime < this.strokeCancelWindow) {
+                this.cancelGesture();
+            } else {
+                this.endGesture(0, 0, Date.now());
+                tap = false;
+            }
+        }
+        
+        const touches = this.getTouches();
+        const frame = this.getTouchFrame();
+        this.navigation = {
+            frame,
+            origin: { x: frame.x, y: frame.y },
+            startTime: Math.min(...touches.map(touch => touch.startTime)),
+            fingers: touches.length,
+            tap
+        };
+        touches.forEach(touch => this.trackTapMovement(touch));
+        this.events.emit('pinch', { phase: 'start', x: frame.x, y: frame.y, dx: 0, dy: 0, scale: 1, rotation: 0 });
+    }
+    
+    continueNavigation() {
+        const navigation = this.navigation;
+        const frame = this.getTouchFrame();
+        const last = navigation.frame;
+        if (!frame || !last) return;
+        
+        // Changes since the last move; the twist goes the shorter way round, across the -PI/PI seam
+        const turn = frame.angle - last.angle;
+        this.events.emit('pinch', {
+            phase: 'move',
+            x: frame.x,
+            y: frame.y,
+            dx: frame.x - last.x,
+            dy: frame.y - last.y,
+            scale: last.distance > 0 && frame.distance > 0 ? frame.distance / last.distance : 1,
+            rotation: Math.atan2(Math.sin(turn), Math.cos(turn))
+        });
+        navigation.frame = frame;
     }
     
-    startGesture(x, y, timestamp, pressure, touch = null) {
+    // Any finger that travels means the fingers are navigating, not tapping
+    trackTapMovement(pointer) {
+        if (this.getTravel(pointer) > this.multiTapDistanceThreshold) {
+            this.navigation.tap = false;
+        }
+    }
+    
+    // A finger landed or lifted - measure from the new pair so the view doesn't jump
+    updateNavigation(cancelled = false) {
+        const navigation = this.navigation;
+        const touches = this.getTouches();
+        if (cancelled) {
+            navigation.tap = false;
+        }
+        
+        navigation.fingers = Math.max(navigation.fingers, touches.length);
+        navigation.frame = this.getTouchFrame();
+        if (touches.length === 0) {
+            this.endNavigation();
+        }
+    }
+    
+    endNavigation() {
+        const navigation = this.navigation;
+        this.navigation = null;
+        this.events.emit('pinch', { phase: 'end' });
+        
+        const tap = navigation.tap && Date.now() - navigation.startTime < this.multiTapThreshold;
+        const origin = navigation.origin;
+        
+        // A second two-finger tap is a double tap instead of a second undo
+        if (this.pendingTap) {
+            const pending = this.pendingTap;
+            clearTimeout(pending.timer);
+            this.pendingTap = null;
+            if (tap && navigation.fingers === 2) {
+                this.events.emit('doubleTap', { ...this.toDocument(origin), fingers: 2 });
+                return;
+            }
+            this.emitTap(2, pending.origin);
+        }
+        if (!tap) return;
+        
+        if (navigation.fingers === 2) {
+            this.pendingTap = { timer: setTimeout(() => this.firePendingTap(), this.doubleTapInterval), origin };
+        } else {
+            this.emitTap(navigation.fingers, origin);
+        }
+    }
+    
+    firePendingTap() {
+        // Fingers down for a second tap decide it when they lift
+        if (this.navigation) return;
+        
+        const pending = this.pendingTap;
+        clearTimeout(pending.timer);
+        this.pendingTap = null;
+        this.emitTap(2, pending.origin);
+        
+        // The finger that waited was not a tap after all, so it draws
+        const held = this.heldTouch;
+        this.heldTouch = null;
+        if (held && this.pointers.has(held.pointerId) && this.pointers.size === 1) {
+            this.pointers.delete(held.pointerId);
+            this.handlePointerDown(held);
+        }
+    }
+    
+    // Taps carry the shortcut configured for their finger count
+    emitTap(fingers, origin) {
+        const action = this.tapShortcuts[fingers] || null;
+        if (action) {
+            console.log(`👆 ${fingers}-finger tap: ${action}`);
+        }
+        this.events.emit('tap', { ...this.toDocument(origin), fingers, action });
+    }
+    
+    // Eyedropper - the tool itself, or Alt held with the pen
+    isEyedropperActive(altKey = false) {
+        const tool = this.drawingEngine.currentTool;
+        return !!this.eyedropper && (tool === 'eyedropper' || (altKey && tool === 'pen'));
+    }
+    
+    previewSample(clientX, clientY) {
+        // The loupe is placed in CSS pixels relative to the canvas
+        const rect = this.canvas.getBoundingClientRect();
+        const coords = this.getCanvasCoordinates(clientX, clientY);
+        this.eyedropper.showLoupe(clientX - rect.left, clientY - rect.top, coords.x, coords.y);
+    }
+    
+    endSample(clientX, clientY, pick) {
+        this.isSampling = false;
+        if (!this.eyedropper) return;
+        
+        if (pick) {
+            const coords = this.getCanvasCoordinates(clientX, clientY);
+            this.eyedropper.pick(coords.x, coords.y);
+        } else {
+            this.eyedropper.hideLoupe();
+        }
+    }
+    
+    startGesture(x, y, timestamp, pressure, e) {
         this.gestureStartTime = timestamp;
         this.gestureStartPos = { x, y };
         this.lastMoveTime = timestamp;
@@ -246,36 +816,43 @@ class GestureHandler {
         this.pressureHistory = [pressure];
         
         // Detect gesture type for touch
-        if (touch) {
-            const gestureType = this.detectGestureType(touch);
-            this.updateGestureIndicator(gestureType);
-            
-            // Switch to eraser for palm gestures
-            if (gestureType === 'palm') {
-                this.drawingEngine.setTool('eraser');
-            }
+        const gesture = e.pointerType === 'touch' ? this.detectGestureType(e) : null;
+        
+        // In erase mode a palm erases, and the tool comes back when it lifts
+        if (gesture === 'palm' && this.palmMode === 'erase') {
+            this.palmPreviousTool = this.drawingEngine.currentTool;
+            this.selectTool('eraser');
         }
         
+        // The stroke records the pointer type as its source
         this.isDrawing = true;
-        this.drawingEngine.startStroke(x, y, pressure);
+        this.strokeSource = e.pointerType || 'mouse';
+        this.events.emit('strokeStart', { x, y, pressure, source: this.strokeSource, pen: this.getPenInput(e), gesture, time: timestamp });
     }
     
-    continueGesture(x, y, timestamp, pressure, touch = null) {
+    continueGesture(x, y, timestamp, pressure, e) {
         this.pressure = pressure;
         
-        // Update gesture type for touch
-        if (touch) {
-            const gestureType = this.detectGestureType(touch);
-            this.updateGestureIndicator(gestureType);
-        }
-        
-        this.drawingEngine.continueStroke(x, y, pressure);
+        const gesture = e.pointerType === 'touch' ? this.detectGestureType(e) : null;
+        this.events.emit('strokeMove', { x, y, pressure, source: this.strokeSource, pen: this.getPenInput(e), gesture, time: timestamp });
     }
     
     endGesture(x, y, timestamp) {
+        this.finishGesture(false);
+    }
+    
+    // Ends the stroke without keeping any of it
+    cancelGesture() {
+        this.finishGesture(true);
+    }
+    
+    finishGesture(cancelled) {
+        const source = this.strokeSource;
         this.isDrawing = false;
-        this.drawingEngine.endStroke();
-        this.updateGestureIndicator('ready');
+        this.drawingPointerId = null;
+        this.strokeSource = null;
+        this.events.emit('strokeEnd', { source, cancelled });
+        this.restorePalmTool();
         
         // Reset velocity
         this.velocity = { x: 0, y: 0 };
@@ -283,7 +860,7 @@ class GestureHandler {
     }
     
     handleTapGesture(x, y) {
-        this.updateGestureIndicator('tap');
+        this.emitTap(1, { x, y });
         
         // Check if tap is on a UI element
         const element = document.elementFromPoint(
@@ -295,11 +872,6 @@ class GestureHandler {
             // Simulate click on UI element
             element.click();
         }
-        
-        // Reset indicator after short delay
-        setTimeout(() => {
-            this.updateGestureIndicator('ready');
-        }, 1000);
     }
     
     // Public methods for external control
@@ -314,6 +886,34 @@ class GestureHandler {
         }
     }
     
+    pause() {
+        this.paused = true;
+        if (this.isPanning) {
+            this.endPan();
+        }
+        this.isDrawing = false;
+        this.isSampling = false;
+        this.strokeSource = null;
+        this.restorePalmTool();
+        this.cancelLongPress();
+        this.navigation = null;
+        if (this.pendingTap) {
+            clearTimeout(this.pendingTap.timer);
+            this.pendingTap = null;
+        }
+        this.heldTouch = null;
+        this.cancelPendingOneShot();
+        this.pointers.clear();
+        this.drawingPointerId = null;
+        if (this.eyedropper) {
+            this.eyedropper.hideLoupe();
+        }
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
     getCurrentPressure() {
         return this.pressure;
     }
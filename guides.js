@@ -0,0 +1,288 @@
+// Grid and ruler guides, and snapping strokes and shapes to them
+const GRID_MIN_SPACING = 5;          // document pixels
+const GRID_MAX_SPACING = 200;
+const GRID_MIN_SCREEN_SPACING = 6;   // screen pixels, denser grids are not drawn
+const GUIDE_SNAP_DISTANCE = 10;      // screen pixels a point is pulled across to a grid line
+const RULER_WIDTH = 60;              // document pixels
+const RULER_LENGTH = 800;
+const RULER_SNAP_DISTANCE = 40;      // screen pixels from an edge that start a ruled stroke
+const RULER_HANDLE_RADIUS = 9;       // screen pixels
+const RULER_TICK = 10;               // document pixels between tick marks
+
+class Guides {
+    constructor() {
+        this.grid = { visible: false, spacing: 40, isometric: false, snap: false };
+        this.ruler = { visible: false, x: null, y: null, angle: 0, length: RULER_LENGTH, snap: true };
+        this.drag = null;       // active ruler move or rotate
+        this.lockedEdge = null; // -1 or 1 while a stroke follows a ruler edge
+    }
+    
+    // Each grid family is a set of parallel lines n.p = k * spacing
+    getGridFamilies() {
+        const spacing = this.grid.spacing;
+        if (!this.grid.isometric) {
+            return [
+                { nx: 1, ny: 0, spacing },
+                { nx: 0, ny: 1, spacing }
+            ];
+        }
+        
+        // Vertical lines and lines at +/-30 degrees through a triangular lattice
+        const rise = Math.sqrt(3) / 2;
+        return [
+            { nx: 1, ny: 0, spacing: spacing * rise },
+            { nx: -0.5, ny: rise, spacing: spacing * rise },
+            { nx: 0.5, ny: rise, spacing: spacing * rise }
+        ];
+    }
+    
+    // Snaps to a grid intersection when two lines are close, else to the nearest line
+    snapToGrid(x, y, tolerance) {
+        const lines = this.getGridFamilies().map(family => {
+            const t = family.nx * x + family.ny * y;
+            const offset = Math.round(t / family.spacing) * family.spacing;
+            return { ...family, offset, distance: Math.abs(t - offset) };
+        }).sort((a, b) => a.distance - b.distance);
+        
+        const [first, second] = lines;
+        if (second.distance <= tolerance) {
+            return Guides.intersect(first, second);
+        }
+        if (first.distance <= tolerance) {
+            const shift = first.nx * x + first.ny * y - first.offset;
+            return { x: x - first.nx * shift, y: y - first.ny * shift };
+        }
+        return { x, y };
+    }
+    
+    static intersect(a, b) {
+        const det = a.nx * b.ny - a.ny * b.nx;
+        return {
+            x: (a.offset * b.ny - b.offset * a.ny) / det,
+            y: (a.nx * b.offset - b.nx * a.offset) / det
+        };
+    }
+    
+    // Ruler geometry: along its length (u) and across it (v)
+    getRulerAxes() {
+        const ruler = this.ruler;
+        const cos = Math.cos(ruler.angle);
+        const sin = Math.sin(ruler.angle);
+        return { dx: cos, dy: sin, nx: -sin, ny: cos };
+    }
+    
+    toRuler(x, y) {
+        const axes = this.getRulerAxes();
+        const dx = x - this.ruler.x;
+        const dy = y - this.ruler.y;
+        return { u: axes.dx * dx + axes.dy * dy, v: axes.nx * dx + axes.ny * dy };
+    }
+    
+    fromRuler(u, v) {
+        const axes = this.getRulerAxes();
+        return {
+            x: this.ruler.x + axes.dx * u + axes.nx * v,
+            y: this.ruler.y + axes.dy * u + axes.ny * v
+        };
+    }
+    
+    getRulerCorners() {
+        const halfLength = this.ruler.length / 2;
+        const halfWidth = RULER_WIDTH / 2;
+        return [
+            this.fromRuler(-halfLength, -halfWidth),
+            this.fromRuler(halfLength, -halfWidth),
+            this.fromRuler(halfLength, halfWidth),
+            this.fromRuler(-halfLength, halfWidth)
+        ];
+    }
+    
+    // 'rotate' on an end knob, 'move' on the ruler body, or null
+    hitTestRuler(x, y, zoom = 1) {
+        if (!this.ruler.visible) return null;
+        
+        const { u, v } = this.toRuler(x, y);
+        const radius = RULER_HANDLE_RADIUS * 1.5 / zoom;
+        if (Math.abs(Math.abs(u) - this.ruler.length / 2) <= radius && Math.abs(v) <= radius) {
+            return { type: 'rotate' };
+        }
+        if (Math.abs(u) <= this.ruler.length / 2 && Math.abs(v) <= RULER_WIDTH / 2) {
+            return { type: 'move' };
+        }
+        return null;
+    }
+    
+    beginDrag(hit, x, y) {
+        this.drag = {
+            type: hit.type,
+            start: { x, y },
+            ruler: { x: this.ruler.x, y: this.ruler.y, angle: this.ruler.angle }
+        };
+    }
+    
+    updateDrag(x, y, constrain) {
+        const drag = this.drag;
+        if (!drag) return;
+        
+        const ruler = this.ruler;
+        if (drag.type === 'move') {
+            ruler.x = drag.ruler.x + x - drag.start.x;
+            ruler.y = drag.ruler.y + y - drag.start.y;
+            return;
+        }
+        
+        const startAngle = Math.atan2(drag.start.y - ruler.y, drag.start.x - ruler.x);
+        let angle = drag.ruler.angle + Math.atan2(y - ruler.y, x - ruler.x) - startAngle;
+        
+        // Shift snaps to 15 degree steps
+        if (constrain) {
+            const step = Math.PI / 12;
+            angle = Math.round(angle / step) * step;
+        }
+        ruler.angle = angle;
+    }
+    
+    endDrag() {
+        this.drag = null;
+    }
+    
+    // Puts the ruler back where the drag started
+    cancelDrag() {
+        if (!this.drag) return;
+        
+        Object.assign(this.ruler, this.drag.ruler);
+        this.drag = null;
+    }
+    
+    // A stroke that starts near a ruler edge follows that edge to its end
+    beginStroke(x, y, zoom = 1) {
+        this.lockedEdge = null;
+        
+        const ruler = this.ruler;
+        if (ruler.visible && ruler.snap) {
+            const { u, v } = this.toRuler(x, y);
+            const reach = RULER_SNAP_DISTANCE / zoom;
+            if (Math.abs(u) <= ruler.length / 2 + reach && Math.abs(v) <= RULER_WIDTH / 2 + reach) {
+                this.lockedEdge = v < 0 ? -1 : 1;
+            }
+        }
+        return this.snap(x, y, zoom);
+    }
+    
+    snap(x, y, zoom = 1) {
+        if (this.lockedEdge) {
+            const { u } = this.toRuler(x, y);
+            return this.fromRuler(u, this.lockedEdge * RULER_WIDTH / 2);
+        }
+        if (this.grid.visible && this.grid.snap) {
+            return this.snapToGrid(x, y, GUIDE_SNAP_DISTANCE / zoom);
+        }
+        return { x, y };
+    }
+    
+    endStroke() {
+        this.lockedEdge = null;
+    }
+    
+    // Drawn over the canvas in screen space - never part of the image
+    drawOverlay(ctx, viewport, width, height) {
+        if (this.grid.visible) {
+            this.drawGrid(ctx, viewport, width, height);
+        }
+        if (this.ruler.visible) {
+            this.drawRuler(ctx, viewport);
+        }
+    }
+    
+    drawGrid(ctx, viewport, width, height) {
+        const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const toScreen = (point) => viewport.documentToScreen(point.x, point.y);
+        
+        ctx.save();
+        
+        // Only the document shows the grid, not the pasteboard around it
+        ctx.beginPath();
+        corners.map(toScreen).forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.clip();
+        
+        ctx.strokeStyle = 'rgba(102, 126, 234, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        this.getGridFamilies().forEach(family => {
+            if (family.spacing * viewport.zoom < GRID_MIN_SCREEN_SPACING) return;
+            
+            // Lines crossing the document, each clipped to the document's extent along it
+            const across = corners.map(point => family.nx * point.x + family.ny * point.y);
+            const along = corners.map(point => family.nx * point.y - family.ny * point.x);
+            const first = Math.ceil(Math.min(...across) / family.spacing);
+            const last = Math.floor(Math.max(...across) / family.spacing);
+            const minAlong = Math.min(...along);
+            const maxAlong = Math.max(...along);
+            
+            for (let k = first; k <= last; k++) {
+                const offset = k * family.spacing;
+                const start = toScreen({ x: family.nx * offset - family.ny * minAlong, y: family.ny * offset + family.nx * minAlong });
+                const end = toScreen({ x: family.nx * offset - family.ny * maxAlong, y: family.ny * offset + family.nx * maxAlong });
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawRuler(ctx, viewport) {
+        const ruler = this.ruler;
+        const toScreen = (point) => viewport.documentToScreen(point.x, point.y);
+        const corners = this.getRulerCorners().map(toScreen);
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        corners.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Tick marks on both edges, every fifth one longer
+        if (RULER_TICK * viewport.zoom >= 4) {
+            const halfLength = ruler.length / 2;
+            const halfWidth = RULER_WIDTH / 2;
+            ctx.beginPath();
+            for (let i = 0; i * RULER_TICK <= ruler.length; i++) {
+                const u = -halfLength + i * RULER_TICK;
+                const tick = i % 5 === 0 ? 12 : 6;
+                [-1, 1].forEach(side => {
+                    const edge = toScreen(this.fromRuler(u, side * halfWidth));
+                    const inner = toScreen(this.fromRuler(u, side * (halfWidth - tick)));
+                    ctx.moveTo(edge.x, edge.y);
+                    ctx.lineTo(inner.x, inner.y);
+                });
+            }
+            ctx.stroke();
+        }
+        
+        // Angle readout in the middle, and the rotate knobs at both ends
+        const center = toScreen(ruler);
+        const degrees = Math.round(((ruler.angle * 180 / Math.PI) % 360 + 360) % 360);
+        ctx.fillStyle = '#667eea';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${degrees}°`, center.x, center.y);
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        [-1, 1].forEach(side => {
+            const knob = toScreen(this.fromRuler(side * ruler.length / 2, 0));
+            ctx.beginPath();
+            ctx.arc(knob.x, knob.y, RULER_HANDLE_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
@@ -0,0 +1,85 @@
+// Bounded undo/redo history for drawing operations
+class HistoryManager {
+    constructor(options = {}) {
+        this.limit = options.limit || 30; // maximum undo steps kept
+        this.onDiscard = options.onDiscard || null; // release resources held by dropped entries
+        this.onChange = options.onChange || null;
+        
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    push(entry) {
+        this.undoStack.push(entry);
+        
+        // A new action invalidates everything that was undone
+        const invalidated = this.redoStack;
+        this.redoStack = [];
+        this.discardAll(invalidated);
+        
+        // Drop the oldest entries once the limit is exceeded
+        while (this.undoStack.length > this.limit) {
+            this.discard(this.undoStack.shift());
+        }
+        
+        this.notifyChange();
+    }
+    
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        this.redoStack.push(entry);
+        this.notifyChange();
+        return entry;
+    }
+    
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        this.undoStack.push(entry);
+        this.notifyChange();
+        return entry;
+    }
+    
+    // Drops the newest entry without undoing it, for an action that was
+    // abandoned and has already put everything back
+    cancel() {
+        this.discard(this.undoStack.pop());
+        this.notifyChange();
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        // Empty the stacks first so discard callbacks see the final state
+        const entries = [...this.undoStack, ...this.redoStack];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.discardAll(entries);
+        this.notifyChange();
+    }
+    
+    discard(entry) {
+        if (entry && this.onDiscard) {
+            this.onDiscard(entry);
+        }
+    }
+    
+    discardAll(entries) {
+        entries.forEach(entry => this.discard(entry));
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.canUndo(), this.canRedo());
+        }
+    }
+}
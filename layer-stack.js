@@ -0,0 +1,190 @@
+// Ordered stack of drawing layers, each backed by its own texture/framebuffer.
+// The layers cover a rectangle of the document that grows as the drawing does
+const BLEND_MODES = ['normal', 'multiply', 'screen', 'add'];
+
+// Where existing content stays pinned when the canvas changes size (x, y fractions)
+const RESIZE_ANCHORS = {
+    'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+    'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+    'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1]
+};
+
+class LayerStack {
+    constructor(gl, width, height) {
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+        this.origin = { x: 0, y: 0 }; // document position of the layers' top-left pixel
+        this.layers = []; // bottom to top
+        this.activeIndex = 0;
+        this.nextId = 1;
+    }
+    
+    createLayer(name) {
+        const gl = this.gl;
+        const texture = WebGLUtils.createTexture(gl, this.width, this.height);
+        const framebuffer = WebGLUtils.createFramebuffer(gl, texture);
+        
+        const layer = {
+            id: this.nextId++,
+            name: name || `Layer ${this.nextId - 1}`,
+            texture,
+            framebuffer,
+            opacity: 1.0,
+            visible: true,
+            locked: false,
+            blendMode: 'normal'
+        };
+        
+        this.clearLayer(layer);
+        return layer;
+    }
+    
+    addLayer(name) {
+        const layer = this.createLayer(name);
+        
+        // New layers go directly above the active one
+        const index = this.layers.length === 0 ? 0 : this.activeIndex + 1;
+        this.layers.splice(index, 0, layer);
+        this.activeIndex = index;
+        
+        return layer;
+    }
+    
+    removeLayer(index) {
+        // Always keep at least one layer to draw on
+        if (this.layers.length <= 1 || !this.layers[index]) return null;
+        
+        const [layer] = this.layers.splice(index, 1);
+        this.activeIndex = Math.min(this.activeIndex, this.layers.length - 1);
+        return layer;
+    }
+    
+    moveLayer(from, to) {
+        if (!this.layers[from] || to < 0 || to >= this.layers.length || from === to) return false;
+        
+        const active = this.getActiveLayer();
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(to, 0, layer);
+        this.activeIndex = this.layers.indexOf(active);
+        return true;
+    }
+    
+    setActive(index) {
+        if (index >= 0 && index < this.layers.length) {
+            this.activeIndex = index;
+        }
+    }
+    
+    getActiveLayer() {
+        return this.layers[this.activeIndex];
+    }
+    
+    getLayerById(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+    
+    // Transparent target the size of the layers that isn't part of the stack
+    createTarget(id) {
+        const texture = WebGLUtils.createTexture(this.gl, this.width, this.height);
+        const target = { id, texture, framebuffer: WebGLUtils.createFramebuffer(this.gl, texture) };
+        this.clearLayer(target);
+        return target;
+    }
+    
+    clearLayer(layer) {
+        const gl = this.gl;
+        
+        // Layers start transparent - the document background sits beneath them
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    // Fresh, empty targets for every layer once a lost GPU context is back
+    restoreTargets() {
+        this.layers.forEach(layer => {
+            layer.texture = WebGLUtils.createTexture(this.gl, this.width, this.height);
+            layer.framebuffer = WebGLUtils.createFramebuffer(this.gl, layer.texture);
+            this.clearLayer(layer);
+        });
+    }
+    
+    contains(left, top, right, bottom) {
+        return left >= this.origin.x && top >= this.origin.y &&
+            right <= this.origin.x + this.width && bottom <= this.origin.y + this.height;
+    }
+    
+    // Grows every layer to cover a document rectangle as well, keeping the
+    // pixels where they are in the document. Other targets of the layers'
+    // size (undo snapshots, a floating selection...) are grown with them
+    cover(left, top, right, bottom, targets = []) {
+        if (this.contains(left, top, right, bottom)) return false;
+        
+        left = Math.min(left, this.origin.x);
+        top = Math.min(top, this.origin.y);
+        const width = Math.max(right, this.origin.x + this.width) - left;
+        const height = Math.max(bottom, this.origin.y + this.height) - top;
+        const offset = { x: this.origin.x - left, y: this.origin.y - top };
+        const region = LayerStack.getCopyRegion(this.width, this.height, width, height, offset);
+        
+        [...this.layers, ...targets].forEach(target => {
+            const texture = WebGLUtils.createTexture(this.gl, width, height);
+            const framebuffer = WebGLUtils.createFramebuffer(this.gl, texture);
+            this.clearLayer({ framebuffer });
+            
+            if (region) {
+                WebGLUtils.copyFramebufferRegion(this.gl, target.framebuffer, texture, region);
+            }
+            
+            // Release the old targets
+            this.disposeTargets(target);
+            target.texture = texture;
+            target.framebuffer = framebuffer;
+        });
+        
+        this.origin = { x: left, y: top };
+        this.width = width;
+        this.height = height;
+        return true;
+    }
+    
+    static getCopyRegion(oldWidth, oldHeight, width, height, offset) {
+        // Framebuffer rows run bottom-up, so flip the vertical offset
+        const dx = offset.x;
+        const dy = (height - oldHeight) - offset.y;
+        
+        const srcX = Math.max(0, -dx);
+        const srcY = Math.max(0, -dy);
+        const dstX = Math.max(0, dx);
+        const dstY = Math.max(0, dy);
+        const region = {
+            srcX,
+            srcY,
+            dstX,
+            dstY,
+            width: Math.min(oldWidth - srcX, width - dstX),
+            height: Math.min(oldHeight - srcY, height - dstY)
+        };
+        
+        return region.width > 0 && region.height > 0 ? region : null;
+    }
+    
+    disposeTargets(layer) {
+        this.gl.deleteFramebuffer(layer.framebuffer);
+        this.gl.deleteTexture(layer.texture);
+    }
+    
+    // Undo support - the layer list is swapped in and out of history entries
+    snapshot() {
+        return { layers: this.layers.slice(), activeIndex: this.activeIndex };
+    }
+    
+    restore(state) {
+        const previous = this.snapshot();
+        this.layers = state.layers;
+        this.activeIndex = Math.min(state.activeIndex, this.layers.length - 1);
+        return previous;
+    }
+}
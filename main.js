@@ -4,24 +4,56 @@ class DrawingApp {
         this.canvas = document.getElementById('drawingCanvas');
         this.drawingEngine = null;
         this.gestureHandler = null;
+        this.gestureEvents = null; // GestureEventBus shared by the recognisers, the engine and the UI
         this.cameraGestureDetector = null;
         this.currentTool = 'pen';
         this.currentColor = '#000000';
         this.brushSize = 5;
+        this.eyedropper = null;
+        this.textTool = null;
+        this.recentColors = []; // newest first
+        this.maxRecentColors = 8;
+        
+        // Selection outlines and handles are drawn on a canvas over the drawing
+        this.overlayCanvas = document.getElementById('overlayCanvas');
+        this.overlayCtx = this.overlayCanvas ? this.overlayCanvas.getContext('2d') : null;
         
         this.init();
     }
     
     init() {
         try {
-            // Initialize drawing engine with GPU acceleration
-            this.drawingEngine = new DrawingEngine(this.canvas);
-            this.gestureHandler = new GestureHandler(this.canvas, this.drawingEngine);
+            this.drawingEngine = this.createEngine();
+            
+            // The recognisers publish gestures; the engine and the UI subscribe
+            this.gestureEvents = new GestureEventBus();
+            this.drawingEngine.connectGestureEvents(this.gestureEvents);
+            this.gestureHandler = new GestureHandler(this.canvas, this.drawingEngine, this.gestureEvents);
             
             // Initialize camera gesture detection
-            this.cameraGestureDetector = new CameraGestureDetector(this.drawingEngine, this.gestureHandler);
+            this.cameraGestureDetector = new CameraGestureDetector(this.drawingEngine, this.gestureHandler, this.gestureEvents);
             
             this.setupUI();
+            this.setupGestureIndicator();
+            this.setupBrushPresets();
+            this.setupViewControls();
+            this.setupBackgroundControls();
+            this.setupShapeOptions();
+            this.setupEyedropper();
+            
+            // Layers, selections, text and the guides need WebGL
+            if (this.drawingEngine.backend === 'webgl') {
+                this.setupFillOptions();
+                this.setupSelection();
+                this.setupTextTool();
+                this.setupSymmetry();
+                this.setupGuides();
+                this.setupLayerPanel();
+                this.setupContextRecovery();
+            } else {
+                this.hideWebGLOnlyControls();
+            }
+            
             this.setupCameraControls();
             this.setupResizeHandler();
             this.updateCanvasSize();
@@ -29,18 +61,49 @@ class DrawingApp {
             // Test basic drawing functionality
             this.testDrawingEngine();
             
-            // Add fallback mouse drawing for debugging
-            this.setupFallbackDrawing();
+            // Keyboard shortcuts for testing camera gestures
+            this.setupDebugShortcuts();
             
             // Auto-prompt for camera access after a short delay
             setTimeout(() => {
                 this.promptForCameraAccess();
             }, 1000);
             
-            console.log('Drawing app initialized successfully with GPU acceleration');
+            console.log(`Drawing app initialized successfully (${this.drawingEngine.backend} backend)`);
         } catch (error) {
             console.error('Failed to initialize drawing app:', error);
-            this.showError('WebGL not supported. Please use a modern browser.');
+            this.showError('Canvas drawing not supported. Please use a modern browser.');
+        }
+    }
+    
+    // WebGL when the browser has it, otherwise the Canvas 2D backend
+    createEngine() {
+        try {
+            return new DrawingEngine(this.canvas);
+        } catch (error) {
+            console.warn('WebGL unavailable, falling back to Canvas 2D:', error);
+            return new Canvas2DEngine(this.canvas);
+        }
+    }
+    
+    hideWebGLOnlyControls() {
+        const sections = ['.fill-section', '.text-section', '.selection-section', '.symmetry-section', '.guides-section', '.layer-section'];
+        sections.forEach(selector => {
+            const section = document.querySelector(selector);
+            if (section) {
+                section.style.display = 'none';
+            }
+        });
+        
+        document.querySelectorAll('.tool-btn').forEach(button => {
+            if (!this.drawingEngine.supportsTool(button.dataset.tool)) {
+                button.style.display = 'none';
+            }
+        });
+        
+        const snapInput = document.getElementById('snapToShape');
+        if (snapInput) {
+            snapInput.closest('label').style.display = 'none';
         }
     }
     
@@ -118,6 +181,36 @@ class DrawingApp {
             console.error('❌ Clear button not found in DOM');
         }
         
+        // Undo/redo buttons
+        const historyButtons = document.querySelectorAll('.history-btn');
+        historyButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (button.dataset.action === 'undo') {
+                    this.undo();
+                } else {
+                    this.redo();
+                }
+                
+                // Visual feedback
+                button.classList.add('active-gesture');
+                setTimeout(() => button.classList.remove('active-gesture'), 300);
+            });
+        });
+        
+        this.drawingEngine.onHistoryChange = () => this.updateHistoryButtons();
+        this.updateHistoryButtons();
+        
+        // Two-, three- and four-finger taps
+        this.gestureEvents.on('tap', (e) => {
+            if (e.action) {
+                this.handleTouchShortcut(e.action);
+            }
+        });
+        
+        // Tools switched by a palm or a camera pose show in the toolbar too
+        this.gestureEvents.on('toolChange', (e) => this.selectTool(e.tool));
+        
         // Brush size slider
         const brushSlider = document.getElementById('brushSize');
         const brushSizeValue = document.getElementById('brushSizeValue');
@@ -136,6 +229,46 @@ class DrawingApp {
             });
         }
         
+        // Smoothing strength slider
+        const smoothingSlider = document.getElementById('smoothing');
+        const smoothingValue = document.getElementById('smoothingValue');
+        
+        if (smoothingSlider && smoothingValue) {
+            smoothingSlider.addEventListener('input', (e) => {
+                const strength = parseInt(e.target.value);
+                this.drawingEngine.setSmoothing(strength / 100);
+                smoothingValue.textContent = `${strength}%`;
+            });
+            
+            smoothingSlider.addEventListener('touchmove', (e) => {
+                e.stopPropagation();
+            });
+        }
+        
+        // Stroke renderer - stamped dabs or a variable-width ribbon
+        const strokeModeSelect = document.getElementById('strokeMode');
+        
+        if (strokeModeSelect) {
+            strokeModeSelect.addEventListener('change', (e) => {
+                this.drawingEngine.setStrokeMode(e.target.value);
+            });
+        }
+        
+        const palmModeSelect = document.getElementById('palmMode');
+        if (palmModeSelect) {
+            palmModeSelect.addEventListener('change', (e) => {
+                this.gestureHandler.palmMode = e.target.value;
+            });
+        }
+        
+        // Where the drawing stays when the canvas changes size
+        const resizeAnchorSelect = document.getElementById('resizeAnchor');
+        if (resizeAnchorSelect) {
+            resizeAnchorSelect.addEventListener('change', (e) => {
+                this.drawingEngine.setResizeAnchor(e.target.value);
+            });
+        }
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboard(e);
@@ -159,6 +292,600 @@ class DrawingApp {
         });
     }
     
+    setupBrushPresets() {
+        const container = document.getElementById('brushPresets');
+        if (!container) return;
+        
+        this.drawingEngine.getBrushes().forEach(brush => {
+            const button = document.createElement('button');
+            button.className = 'brush-preset-btn';
+            button.dataset.brush = brush.id;
+            button.title = brush.name;
+            button.innerHTML = `<span class="brush-icon">${brush.icon}</span><span class="brush-name">${brush.name}</span>`;
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.selectBrush(brush.id);
+            });
+            container.appendChild(button);
+        });
+        
+        this.updateBrushUI();
+    }
+    
+    selectBrush(id) {
+        if (!this.drawingEngine.setBrush(id)) return;
+        
+        // Picking a brush means painting with it
+        if (this.currentTool !== 'pen') {
+            this.selectTool('pen');
+        }
+        
+        this.updateBrushUI();
+        console.log(`Selected brush: ${id}`);
+    }
+    
+    nextBrush() {
+        const brush = this.drawingEngine.nextBrush();
+        if (this.currentTool !== 'pen') {
+            this.selectTool('pen');
+        }
+        
+        this.updateBrushUI();
+        this.showHistoryFeedback(`${brush.icon} ${brush.name}`);
+    }
+    
+    updateBrushUI() {
+        const brush = this.drawingEngine.getBrush();
+        
+        document.querySelectorAll('.brush-preset-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.brush === brush.id);
+        });
+        
+        // The stroke style belongs to the brush
+        const strokeModeSelect = document.getElementById('strokeMode');
+        if (strokeModeSelect) {
+            strokeModeSelect.value = brush.mode;
+        }
+    }
+    
+    setupViewControls() {
+        document.querySelectorAll('.view-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleViewAction(button.dataset.viewAction);
+            });
+        });
+        
+        this.drawingEngine.onViewChange = (viewport) => {
+            this.updateViewStatus(viewport);
+            
+            // An open text box follows the view
+            if (this.textTool) {
+                this.textTool.updateEditor();
+            }
+        };
+        this.updateViewStatus(this.drawingEngine.getViewport());
+    }
+    
+    handleViewAction(action) {
+        const viewport = this.drawingEngine.getViewport();
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        
+        switch (action) {
+            case 'zoom-in':
+                viewport.zoomAt(1.25, centerX, centerY);
+                break;
+            case 'zoom-out':
+                viewport.zoomAt(1 / 1.25, centerX, centerY);
+                break;
+            case 'rotate-cw':
+                viewport.rotateBy(Math.PI / 12, centerX, centerY);
+                break;
+            case 'rotate-ccw':
+                viewport.rotateBy(-Math.PI / 12, centerX, centerY);
+                break;
+            case 'pan-left':
+                viewport.panBy(50, 0);
+                break;
+            case 'pan-right':
+                viewport.panBy(-50, 0);
+                break;
+            case 'pan-up':
+                viewport.panBy(0, 50);
+                break;
+            case 'pan-down':
+                viewport.panBy(0, -50);
+                break;
+            case 'reset':
+                viewport.reset();
+                break;
+        }
+    }
+    
+    updateViewStatus(viewport) {
+        const zoomLabel = document.getElementById('zoomLevel');
+        if (!zoomLabel) return;
+        
+        const degrees = Math.round(viewport.rotation * 180 / Math.PI);
+        zoomLabel.textContent = `${Math.round(viewport.zoom * 100)}%` + (degrees ? ` ${degrees}°` : '');
+    }
+    
+    setupShapeOptions() {
+        const strokeInput = document.getElementById('shapeStroke');
+        const fillInput = document.getElementById('shapeFill');
+        const fillColorInput = document.getElementById('shapeFillColor');
+        const sidesInput = document.getElementById('shapeSides');
+        if (!strokeInput || !fillInput || !fillColorInput || !sidesInput) return;
+        
+        const apply = () => {
+            this.drawingEngine.setShapeOptions({
+                stroke: strokeInput.checked,
+                fill: fillInput.checked,
+                fillColor: fillColorInput.value,
+                sides: Math.max(3, Math.min(12, parseInt(sidesInput.value) || 5))
+            });
+        };
+        
+        [strokeInput, fillInput, fillColorInput, sidesInput].forEach(input => {
+            input.addEventListener('input', apply);
+            input.addEventListener('change', apply);
+        });
+        apply();
+        
+        // Snap to shape - offer the original stroke back for a few seconds
+        const snapInput = document.getElementById('snapToShape');
+        const revertButton = document.getElementById('snapRevert');
+        if (!snapInput || !revertButton || this.drawingEngine.backend !== 'webgl') return;
+        
+        snapInput.addEventListener('change', () => {
+            this.drawingEngine.setSnapToShape(snapInput.checked);
+            revertButton.hidden = true;
+        });
+        
+        revertButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            revertButton.hidden = true;
+            if (this.drawingEngine.revertSnap()) {
+                this.showHistoryFeedback('✏️ Original stroke');
+            }
+        });
+        
+        this.drawingEngine.onShapeSnapped = (label) => {
+            this.showHistoryFeedback(`🔷 Snapped to ${label}`);
+            revertButton.hidden = false;
+            clearTimeout(this.snapRevertTimeout);
+            this.snapRevertTimeout = setTimeout(() => {
+                revertButton.hidden = true;
+            }, 4000);
+        };
+    }
+    
+    setupFillOptions() {
+        const toleranceInput = document.getElementById('fillTolerance');
+        const toleranceValue = document.getElementById('fillToleranceValue');
+        const gapInput = document.getElementById('fillGapClose');
+        const gapValue = document.getElementById('fillGapCloseValue');
+        const antialiasInput = document.getElementById('fillAntialias');
+        if (!toleranceInput || !gapInput || !antialiasInput) return;
+        
+        const apply = () => {
+            const tolerance = parseInt(toleranceInput.value);
+            const gapClose = parseInt(gapInput.value);
+            
+            this.drawingEngine.setFillOptions({
+                tolerance: tolerance / 100,
+                gapClose,
+                antialias: antialiasInput.checked
+            });
+            
+            if (toleranceValue) toleranceValue.textContent = tolerance + '%';
+            if (gapValue) gapValue.textContent = gapClose > 0 ? gapClose + 'px' : 'Off';
+        };
+        
+        [toleranceInput, gapInput, antialiasInput].forEach(input => {
+            input.addEventListener('input', apply);
+            input.addEventListener('change', apply);
+        });
+        apply();
+    }
+    
+    setupEyedropper() {
+        this.eyedropper = new Eyedropper(this.drawingEngine, document.getElementById('eyedropperLoupe'));
+        this.eyedropper.onPick = (color) => this.pickColor(color);
+        this.gestureHandler.eyedropper = this.eyedropper;
+        
+        const sizeSelect = document.getElementById('eyedropperSize');
+        if (sizeSelect) {
+            sizeSelect.addEventListener('change', () => {
+                this.eyedropper.setSampleSize(parseInt(sizeSelect.value));
+            });
+        }
+    }
+    
+    pickColor(color) {
+        this.selectColor(color);
+        this.addRecentColor(color);
+        this.showHistoryFeedback(`💧 ${color}`);
+    }
+    
+    addRecentColor(color) {
+        this.recentColors = [color, ...this.recentColors.filter(recent => recent !== color)].slice(0, this.maxRecentColors);
+        
+        const container = document.getElementById('recentColors');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.recentColors.forEach(recent => {
+            const button = document.createElement('button');
+            button.className = 'color-btn recent-color-btn';
+            button.dataset.color = recent;
+            button.style.backgroundColor = recent;
+            button.title = recent;
+            button.classList.toggle('active', recent === this.currentColor);
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.selectColor(recent);
+            });
+            container.appendChild(button);
+        });
+    }
+    
+    setupSelection() {
+        const actionButtons = document.querySelectorAll('.selection-action-btn');
+        actionButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleSelectionAction(button.dataset.selectionAction);
+            });
+        });
+        
+        this.drawingEngine.onSelectionChange = () => this.updateSelectionButtons();
+        this.drawingEngine.onRender = () => this.drawOverlay();
+        this.updateSelectionButtons();
+    }
+    
+    handleSelectionAction(action) {
+        const engine = this.drawingEngine;
+        
+        switch (action) {
+            case 'flip-h':
+                engine.flipSelection(true);
+                break;
+            case 'flip-v':
+                engine.flipSelection(false);
+                break;
+            case 'copy':
+                if (engine.copySelection()) this.showHistoryFeedback('📋 Copied');
+                break;
+            case 'cut':
+                if (engine.cutSelection()) this.showHistoryFeedback('✂️ Cut');
+                break;
+            case 'paste':
+                if (engine.pasteSelection('keyboard')) this.showHistoryFeedback('📋 Pasted');
+                break;
+            case 'delete':
+                if (engine.deleteSelection()) this.showHistoryFeedback('🗑️ Deleted');
+                break;
+            case 'commit':
+                engine.commitSelection();
+                break;
+            case 'cancel':
+                engine.cancelSelection();
+                break;
+        }
+    }
+    
+    updateSelectionButtons() {
+        const hasSelection = this.drawingEngine.hasSelection();
+        document.querySelectorAll('.selection-action-btn').forEach(button => {
+            button.disabled = button.dataset.selectionAction === 'paste' ? !this.drawingEngine.clipboard : !hasSelection;
+        });
+    }
+    
+    drawOverlay() {
+        const ctx = this.overlayCtx;
+        if (!ctx) return;
+        
+        const engine = this.drawingEngine;
+        ctx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        engine.guides.drawOverlay(ctx, engine.getViewport(), engine.canvas.width, engine.canvas.height);
+        engine.symmetry.drawOverlay(ctx, engine.getViewport(), engine.canvas.width, engine.canvas.height);
+        engine.selection.drawOverlay(ctx, engine.getViewport());
+    }
+    
+    setupTextTool() {
+        this.textTool = new TextTool(this.drawingEngine, document.getElementById('textEditor'));
+        this.drawingEngine.onTextRequest = (x, y, source) => this.textTool.open(x, y, source);
+        
+        const fontSelect = document.getElementById('textFont');
+        const sizeInput = document.getElementById('textSize');
+        const sizeValue = document.getElementById('textSizeValue');
+        const alignSelect = document.getElementById('textAlign');
+        const flattenButton = document.getElementById('textFlatten');
+        if (!fontSelect || !sizeInput || !alignSelect) return;
+        
+        const showSize = (size) => {
+            if (sizeValue) sizeValue.textContent = size + 'px';
+        };
+        
+        const apply = () => {
+            const size = parseInt(sizeInput.value);
+            this.drawingEngine.setTextOptions({ font: fontSelect.value, size, align: alignSelect.value });
+            showSize(size);
+            this.textTool.updateEditor();
+        };
+        
+        [fontSelect, sizeInput, alignSelect].forEach(input => {
+            input.addEventListener('input', apply);
+            input.addEventListener('change', apply);
+        });
+        apply();
+        
+        // Editing a text object loads its settings into the panel
+        this.textTool.onOptionsChange = (options) => {
+            fontSelect.value = options.font;
+            sizeInput.value = options.size;
+            alignSelect.value = options.align;
+            showSize(options.size);
+        };
+        
+        if (flattenButton) {
+            flattenButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.textTool.commit();
+                if (this.drawingEngine.flattenText()) {
+                    this.showHistoryFeedback('🔤 Text flattened');
+                }
+            });
+        }
+    }
+    
+    setupSymmetry() {
+        const modeSelect = document.getElementById('symmetryMode');
+        const segmentsInput = document.getElementById('symmetrySegments');
+        const segmentsValue = document.getElementById('symmetrySegmentsValue');
+        const mirrorInput = document.getElementById('symmetryMirror');
+        const centerButton = document.getElementById('symmetryCenter');
+        const resetButton = document.getElementById('symmetryCenterReset');
+        if (!modeSelect || !segmentsInput || !mirrorInput) return;
+        
+        const apply = () => {
+            const segments = parseInt(segmentsInput.value);
+            this.drawingEngine.setSymmetry({
+                mode: modeSelect.value,
+                segments,
+                mirror: mirrorInput.checked
+            });
+            
+            if (segmentsValue) segmentsValue.textContent = segments;
+        };
+        
+        [modeSelect, segmentsInput, mirrorInput].forEach(input => {
+            input.addEventListener('input', apply);
+            input.addEventListener('change', apply);
+        });
+        
+        // The centre is placed by the next press on the canvas, from any input
+        if (centerButton) {
+            centerButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.drawingEngine.placeSymmetryCenter();
+                this.showHistoryFeedback('🎯 Tap to place the centre');
+            });
+        }
+        if (resetButton) {
+            resetButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.drawingEngine.setSymmetryCenter(null, null);
+            });
+        }
+        
+        this.drawingEngine.onSymmetryChange = (symmetry) => {
+            const radial = symmetry.mode === 'radial';
+            segmentsInput.disabled = !radial;
+            mirrorInput.disabled = !radial;
+            if (centerButton) {
+                centerButton.disabled = !symmetry.isActive();
+                centerButton.classList.toggle('active', symmetry.placingCenter);
+            }
+            if (resetButton) resetButton.disabled = !symmetry.isActive() || !symmetry.center;
+        };
+        apply();
+    }
+    
+    setupGuides() {
+        const gridInput = document.getElementById('gridVisible');
+        const spacingInput = document.getElementById('gridSpacing');
+        const spacingValue = document.getElementById('gridSpacingValue');
+        const isometricInput = document.getElementById('gridIsometric');
+        const gridSnapInput = document.getElementById('gridSnap');
+        const rulerInput = document.getElementById('rulerVisible');
+        const rulerSnapInput = document.getElementById('rulerSnap');
+        const rulerResetButton = document.getElementById('rulerReset');
+        if (!gridInput || !spacingInput || !rulerInput) return;
+        
+        const applyGrid = () => {
+            const spacing = parseInt(spacingInput.value);
+            this.drawingEngine.setGrid({
+                visible: gridInput.checked,
+                spacing,
+                isometric: isometricInput && isometricInput.checked,
+                snap: gridSnapInput && gridSnapInput.checked
+            });
+            
+            if (spacingValue) spacingValue.textContent = spacing + 'px';
+        };
+        
+        const applyRuler = () => {
+            this.drawingEngine.setRuler({
+                visible: rulerInput.checked,
+                snap: rulerSnapInput && rulerSnapInput.checked
+            });
+            if (rulerResetButton) rulerResetButton.disabled = !rulerInput.checked;
+        };
+        
+        [gridInput, spacingInput, isometricInput, gridSnapInput].filter(Boolean).forEach(input => {
+            input.addEventListener('input', applyGrid);
+            input.addEventListener('change', applyGrid);
+        });
+        [rulerInput, rulerSnapInput].filter(Boolean).forEach(input => {
+            input.addEventListener('change', applyRuler);
+        });
+        
+        if (rulerResetButton) {
+            rulerResetButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.drawingEngine.resetRuler();
+            });
+        }
+        
+        applyGrid();
+        applyRuler();
+    }
+    
+    // Flips a guide checkbox from the keyboard, through the same handlers as a click
+    toggleGuide(id) {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.checked = !input.checked;
+        input.dispatchEvent(new Event('change'));
+    }
+    
+    setupBackgroundControls() {
+        const typeSelect = document.getElementById('backgroundType');
+        const colorInput = document.getElementById('backgroundColor');
+        if (!typeSelect || !colorInput) return;
+        
+        const apply = () => {
+            this.drawingEngine.setBackground(typeSelect.value, colorInput.value);
+            
+            // The colour only means something for solid backgrounds
+            colorInput.disabled = typeSelect.value !== 'solid';
+        };
+        
+        typeSelect.addEventListener('change', apply);
+        colorInput.addEventListener('input', apply);
+    }
+    
+    setupLayerPanel() {
+        const actionButtons = document.querySelectorAll('.layer-action-btn');
+        actionButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleLayerAction(button.dataset.layerAction);
+            });
+        });
+        
+        this.drawingEngine.onLayersChange = () => this.renderLayerPanel();
+        this.renderLayerPanel();
+    }
+    
+    handleLayerAction(action) {
+        const engine = this.drawingEngine;
+        this.textTool.commit();
+        const index = engine.getActiveLayerIndex();
+        
+        switch (action) {
+            case 'add':
+                engine.addLayer();
+                break;
+            case 'delete':
+                if (!engine.deleteLayer(index)) {
+                    console.warn('⚠️ The last layer cannot be deleted');
+                }
+                break;
+            case 'up':
+                engine.moveLayer(index, index + 1);
+                break;
+            case 'down':
+                engine.moveLayer(index, index - 1);
+                break;
+            case 'merge':
+                engine.mergeLayerDown(index);
+                break;
+        }
+        
+        console.log(`Layer action: ${action}`);
+    }
+    
+    renderLayerPanel() {
+        const list = document.getElementById('layerList');
+        if (!list) return;
+        
+        const engine = this.drawingEngine;
+        const layers = engine.getLayers();
+        const activeIndex = engine.getActiveLayerIndex();
+        
+        list.innerHTML = '';
+        
+        // Topmost layer first, like every other paint program
+        for (let index = layers.length - 1; index >= 0; index--) {
+            const layer = layers[index];
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+            item.classList.toggle('active', index === activeIndex);
+            item.classList.toggle('hidden', !layer.visible);
+            
+            const visibilityBtn = document.createElement('button');
+            visibilityBtn.className = 'layer-toggle';
+            visibilityBtn.classList.toggle('on', layer.visible);
+            visibilityBtn.textContent = '👁';
+            visibilityBtn.title = layer.visible ? 'Hide layer' : 'Show layer';
+            visibilityBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                engine.setLayerVisibility(index, !layer.visible);
+            });
+            
+            const lockBtn = document.createElement('button');
+            lockBtn.className = 'layer-toggle';
+            lockBtn.classList.toggle('on', layer.locked);
+            lockBtn.textContent = '🔒';
+            lockBtn.title = layer.locked ? 'Unlock layer' : 'Lock layer';
+            lockBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                engine.setLayerLocked(index, !layer.locked);
+            });
+            
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.className = 'layer-opacity';
+            opacity.min = '0';
+            opacity.max = '100';
+            opacity.value = Math.round(layer.opacity * 100);
+            opacity.title = 'Layer opacity';
+            opacity.addEventListener('click', (e) => e.stopPropagation());
+            opacity.addEventListener('input', (e) => {
+                engine.setLayerOpacity(index, parseInt(e.target.value) / 100);
+            });
+            
+            const blend = document.createElement('select');
+            blend.className = 'layer-blend';
+            blend.title = 'Blend mode';
+            BLEND_MODES.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = mode;
+                option.selected = mode === layer.blendMode;
+                blend.appendChild(option);
+            });
+            blend.addEventListener('click', (e) => e.stopPropagation());
+            blend.addEventListener('change', (e) => {
+                engine.setLayerBlendMode(index, e.target.value);
+            });
+            
+            item.addEventListener('click', () => engine.setActiveLayer(index));
+            
+            item.append(visibilityBtn, lockBtn, name, opacity, blend);
+            list.appendChild(item);
+        }
+    }
+    
     setupCameraControls() {
         const startCameraBtn = document.getElementById('startCameraBtn');
         if (!startCameraBtn) return;
@@ -285,6 +1012,35 @@ class DrawingApp {
         }
     }
     
+    // Input waits while the engine rebuilds a lost GPU context
+    setupContextRecovery() {
+        const engine = this.drawingEngine;
+        
+        engine.onContextLost = () => {
+            if (this.textTool && this.textTool.isOpen()) {
+                this.textTool.close();
+            }
+            this.gestureHandler.pause();
+            if (this.cameraGestureDetector) {
+                this.cameraGestureDetector.pause();
+            }
+            
+            const indicator = document.getElementById('gestureIndicator');
+            if (indicator) {
+                clearTimeout(this.historyFeedbackTimeout);
+                indicator.textContent = '⚠️ Graphics reset - restoring the drawing...';
+            }
+        };
+        
+        engine.onContextRestored = () => {
+            this.gestureHandler.resume();
+            if (this.cameraGestureDetector) {
+                this.cameraGestureDetector.resume();
+            }
+            this.showHistoryFeedback('✅ Drawing restored');
+        };
+    }
+    
     setupResizeHandler() {
         let resizeTimeout;
         
@@ -321,19 +1077,41 @@ class DrawingApp {
         this.canvas.style.width = rect.width + 'px';
         this.canvas.style.height = rect.height + 'px';
         
+        // The overlay matches the drawing canvas pixel for pixel
+        if (this.overlayCanvas) {
+            this.overlayCanvas.width = width;
+            this.overlayCanvas.height = height;
+            this.overlayCanvas.style.width = this.canvas.style.width;
+            this.overlayCanvas.style.height = this.canvas.style.height;
+        }
+        
         // Update drawing engine
         if (this.drawingEngine) {
+            if (this.textTool) {
+                this.textTool.commit();
+            }
             this.drawingEngine.resize();
         }
     }
     
     selectTool(tool) {
+        if (this.drawingEngine && !this.drawingEngine.supportsTool(tool)) return;
+        
         this.currentTool = tool;
         
         if (this.drawingEngine) {
             this.drawingEngine.setTool(tool);
         }
         
+        if (this.eyedropper && tool !== 'eyedropper') {
+            this.eyedropper.hideLoupe();
+        }
+        
+        // Other tools place the text being typed
+        if (this.textTool && tool !== 'text') {
+            this.textTool.commit();
+        }
+        
         // Update UI
         document.querySelectorAll('.tool-btn').forEach(btn => {
             btn.classList.remove('active');
@@ -357,15 +1135,19 @@ class DrawingApp {
             this.drawingEngine.setColor(color);
         }
         
+        if (this.textTool) {
+            this.textTool.setColor(this.drawingEngine.currentColor);
+        }
+        
         // Update UI
         document.querySelectorAll('.color-btn').forEach(btn => {
             btn.classList.remove('active');
         });
         
-        const activeButton = document.querySelector(`[data-color="${color}"]`);
-        if (activeButton) {
-            activeButton.classList.add('active');
-        }
+        // Sampled colours can match a palette entry and a recent one
+        document.querySelectorAll(`[data-color="${color}"]`).forEach(button => {
+            button.classList.add('active');
+        });
         
         console.log(`Selected color: ${color}`);
     }
@@ -388,8 +1170,20 @@ class DrawingApp {
         
         switch (this.currentTool) {
             case 'pen':
+            case 'line':
+            case 'rect':
+            case 'ellipse':
+            case 'polygon':
+            case 'arrow':
+            case 'bucket':
+            case 'eyedropper':
+            case 'select-rect':
+            case 'lasso':
                 canvas.style.cursor = 'crosshair';
                 break;
+            case 'text':
+                canvas.style.cursor = 'text';
+                break;
             case 'eraser':
                 canvas.style.cursor = `url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><circle cx="12" cy="12" r="${this.brushSize}" fill="rgba(255,0,0,0.3)" stroke="red"/></svg>') 12 12, auto`;
                 break;
@@ -402,22 +1196,14 @@ class DrawingApp {
         console.log('🧹 clearCanvas() method called');
         
         try {
-            // Clear WebGL canvas
+            // Clear the drawing
             if (this.drawingEngine) {
                 this.drawingEngine.clear();
-                console.log('✅ WebGL canvas cleared');
+                console.log('✅ Drawing engine canvas cleared');
             } else {
                 console.warn('⚠️ Drawing engine not available');
             }
             
-            // Clear fallback canvas
-            if (this.fallbackCtx && this.fallbackCanvas) {
-                this.fallbackCtx.clearRect(0, 0, this.fallbackCanvas.width, this.fallbackCanvas.height);
-                console.log('✅ Fallback canvas cleared');
-            } else {
-                console.warn('⚠️ Fallback canvas not available');
-            }
-            
             console.log('✅ Canvas clearing completed');
             
             // Show confirmation feedback
@@ -438,7 +1224,180 @@ class DrawingApp {
         }
     }
     
+    undo() {
+        if (!this.drawingEngine) return;
+        
+        if (this.gestureHandler && this.gestureHandler.isDrawing) {
+            this.gestureHandler.endGesture(0, 0, Date.now());
+        }
+        
+        // Undo with a text box open throws the typing away
+        if (this.textTool && this.textTool.isOpen()) {
+            this.textTool.cancel();
+            this.showHistoryFeedback('↩️ Undo');
+            return;
+        }
+        
+        if (this.drawingEngine.undo()) {
+            this.showHistoryFeedback('↩️ Undo');
+        }
+    }
+    
+    redo() {
+        if (!this.drawingEngine) return;
+        
+        if (this.drawingEngine.redo()) {
+            this.showHistoryFeedback('↪️ Redo');
+        }
+    }
+    
+    // Status line under the canvas for touch and camera input
+    setupGestureIndicator() {
+        const indicator = document.getElementById('gestureIndicator');
+        if (!indicator) return;
+        
+        let resetTimeout = null;
+        const show = (text, className = null) => {
+            clearTimeout(resetTimeout);
+            indicator.className = 'gesture-indicator';
+            indicator.textContent = text;
+            if (className) {
+                indicator.classList.add(className);
+            }
+        };
+        const showTouchGesture = (e) => {
+            if (e.source !== 'touch') return;
+            
+            switch (e.gesture) {
+                case 'draw':
+                    show('Drawing...', 'drawing');
+                    break;
+                case 'palm':
+                    show('Eraser mode', 'erasing');
+                    break;
+                default:
+                    show('Tap detected');
+            }
+        };
+        
+        const events = this.gestureEvents;
+        events.on('strokeStart', showTouchGesture);
+        events.on('strokeMove', showTouchGesture);
+        events.on('strokeEnd', (e) => {
+            if (e.source !== 'camera') {
+                show('Ready to draw');
+            }
+        });
+        events.on('tap', () => {
+            show('Tap detected');
+            resetTimeout = setTimeout(() => show('Ready to draw'), 1000);
+        });
+        events.on('pinch', (e) => {
+            if (e.phase === 'start') {
+                show('Moving view');
+            } else if (e.phase === 'end') {
+                show('Ready to draw');
+            }
+        });
+        events.on('palmRejected', () => show('Palm ignored'));
+        
+        // Camera poses, labelled when the hand changes pose
+        const cameraGestures = {
+            point: ['👉 Point detected - Drawing active', 'drawing'],
+            draw: ['✌️ Draw mode - Moving finger'],
+            peace: ['✌️ Peace sign - Alternative draw'],
+            palm: ['🖐️ Open hand - Eraser active', 'erasing'],
+            rock: ['🤟 Rock sign - Cursor positioning'],
+            three: ['🖖 Three fingers - Alternative draw'],
+            tap: ['👍 Thumbs up - Tap gesture'],
+            pinky: ['🤙 Pinky - Undo'],
+            shaka: ['🤙 Thumb + pinky - Redo'],
+            horns: ['🤘 Index + pinky - Next brush'],
+            bucket: ['🪣 Thumb + index - Hold to fill'],
+            pinch: ['🤏 Pinch - Drag the selection'],
+            fist: ['✊ Fist - Cursor positioning (low confidence)']
+        };
+        events.on('cameraGestureChanged', (e) => {
+            const [label, className] = cameraGestures[e.gesture] || ['Show your hand to start'];
+            show(`Camera: ${label}`, className);
+        });
+        events.on('strokeStart', (e) => {
+            if (e.source === 'camera' && e.gesture !== 'pinch') {
+                show('Camera: 🎨 Drawing active!', 'drawing');
+            }
+        });
+        events.on('cameraFeedback', (e) => show(`Camera: ${e.message}`));
+    }
+    
+    handleTouchShortcut(action) {
+        switch (action) {
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
+            case 'clear':
+                // Unlike the clear button, a stray four-finger tap asks first
+                if (window.confirm('Clear the whole canvas?')) {
+                    this.clearCanvas();
+                }
+                break;
+        }
+    }
+    
+    updateHistoryButtons() {
+        const undoButton = document.querySelector('.history-btn[data-action="undo"]');
+        const redoButton = document.querySelector('.history-btn[data-action="redo"]');
+        
+        if (undoButton) {
+            undoButton.disabled = !this.drawingEngine.canUndo();
+        }
+        if (redoButton) {
+            redoButton.disabled = !this.drawingEngine.canRedo();
+        }
+    }
+    
+    showHistoryFeedback(message) {
+        const indicator = document.getElementById('gestureIndicator');
+        if (!indicator) return;
+        
+        indicator.textContent = message;
+        clearTimeout(this.historyFeedbackTimeout);
+        this.historyFeedbackTimeout = setTimeout(() => {
+            indicator.textContent = 'Ready to draw';
+        }, 1000);
+    }
+    
     handleKeyboard(e) {
+        // Undo/redo shortcuts
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+            if (key === 'y') {
+                e.preventDefault();
+                this.redo();
+                return;
+            }
+            
+            // Clipboard shortcuts act on the selection, otherwise the browser keeps them
+            const selectionActions = { c: 'copy', x: 'cut', v: 'paste' };
+            const engine = this.drawingEngine;
+            if (selectionActions[key] && (key === 'v' ? engine.clipboard : engine.hasSelection())) {
+                e.preventDefault();
+                this.handleSelectionAction(selectionActions[key]);
+                return;
+            }
+        }
+        
         // Prevent default for drawing-related shortcuts
         switch (e.key.toLowerCase()) {
             case 'p':
@@ -449,6 +1408,75 @@ class DrawingApp {
                 e.preventDefault();
                 this.selectTool('eraser');
                 break;
+            case 'b':
+                e.preventDefault();
+                this.nextBrush();
+                break;
+            case 'k':
+                e.preventDefault();
+                this.selectTool('bucket');
+                break;
+            case 'i':
+                e.preventDefault();
+                this.selectTool('eyedropper');
+                break;
+            case 'm':
+                e.preventDefault();
+                this.selectTool('select-rect');
+                break;
+            case 'l':
+                e.preventDefault();
+                this.selectTool('lasso');
+                break;
+            case 'a':
+                e.preventDefault();
+                this.selectTool('text');
+                break;
+            case "'":
+                e.preventDefault();
+                this.toggleGuide('gridVisible');
+                break;
+            case 'u':
+                e.preventDefault();
+                this.toggleGuide('rulerVisible');
+                break;
+            case 'enter':
+                if (this.drawingEngine.hasSelection()) {
+                    e.preventDefault();
+                    this.handleSelectionAction('commit');
+                }
+                break;
+            case 'delete':
+            case 'backspace':
+                if (this.drawingEngine.hasSelection()) {
+                    e.preventDefault();
+                    this.handleSelectionAction('delete');
+                }
+                break;
+            case '+':
+            case '=':
+                e.preventDefault();
+                this.handleViewAction('zoom-in');
+                break;
+            case '-':
+                e.preventDefault();
+                this.handleViewAction('zoom-out');
+                break;
+            case '0':
+                e.preventDefault();
+                this.handleViewAction('reset');
+                break;
+            case 'r':
+                e.preventDefault();
+                this.handleViewAction(e.shiftKey ? 'rotate-ccw' : 'rotate-cw');
+                break;
+            case 'arrowleft':
+            case 'arrowright':
+            case 'arrowup':
+            case 'arrowdown':
+                e.preventDefault();
+                this.handleViewAction('pan-' + e.key.slice(5).toLowerCase());
+                break;
             case 'c':
                 if (e.ctrlKey || e.metaKey) {
                     // Allow normal copy
@@ -474,6 +1502,10 @@ class DrawingApp {
                 if (this.gestureHandler.isDrawing) {
                     this.gestureHandler.endGesture(0, 0, Date.now());
                 }
+                // Escape puts a lifted selection back untouched
+                if (this.drawingEngine.hasSelection()) {
+                    this.handleSelectionAction('cancel');
+                }
                 break;
         }
         
@@ -538,80 +1570,12 @@ class DrawingApp {
         }
     }
     
-    setupFallbackDrawing() {
-        // Add a 2D context fallback for debugging
-        const fallbackCanvas = document.createElement('canvas');
-        fallbackCanvas.width = this.canvas.width;
-        fallbackCanvas.height = this.canvas.height;
-        fallbackCanvas.style.position = 'absolute';
-        fallbackCanvas.style.top = '0';
-        fallbackCanvas.style.left = '0';
-        fallbackCanvas.style.pointerEvents = 'none';
-        fallbackCanvas.style.zIndex = '10';
-        
-        const fallbackCtx = fallbackCanvas.getContext('2d');
-        this.canvas.parentElement.appendChild(fallbackCanvas);
-        
-        let isDrawing = false;
-        let lastX = 0;
-        let lastY = 0;
-        
-        const drawFallback = (x, y) => {
-            if (!isDrawing) return;
-            
-            fallbackCtx.globalCompositeOperation = 'source-over';
-            fallbackCtx.lineJoin = 'round';
-            fallbackCtx.lineCap = 'round';
-            fallbackCtx.lineWidth = this.brushSize;
-            fallbackCtx.strokeStyle = this.currentColor;
-            
-            fallbackCtx.beginPath();
-            fallbackCtx.moveTo(lastX, lastY);
-            fallbackCtx.lineTo(x, y);
-            fallbackCtx.stroke();
-            
-            lastX = x;
-            lastY = y;
-        };
-        
-        // Enable fallback drawing temporarily
-        fallbackCanvas.style.pointerEvents = 'auto';
-        
-        fallbackCanvas.addEventListener('mousedown', (e) => {
-            const rect = fallbackCanvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            isDrawing = true;
-            lastX = x;
-            lastY = y;
-            
-            console.log('Fallback drawing started at:', x, y);
-        });
-        
-        fallbackCanvas.addEventListener('mousemove', (e) => {
-            if (!isDrawing) return;
-            
-            const rect = fallbackCanvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            drawFallback(x, y);
-        });
-        
-        fallbackCanvas.addEventListener('mouseup', () => {
-            if (isDrawing) {
-                isDrawing = false;
-                console.log('Fallback drawing ended');
-            }
-        });
-        
-        // Store reference for cleanup
-        this.fallbackCanvas = fallbackCanvas;
-        this.fallbackCtx = fallbackCtx;
-        
-        // Add keyboard shortcuts for testing camera drawing and erasing
+    setupDebugShortcuts() {
+        // Keyboard shortcuts for testing camera drawing and erasing
         document.addEventListener('keydown', (e) => {
+            // Leave modifier shortcuts (Ctrl+Z etc.) to handleKeyboard
+            if (e.ctrlKey || e.metaKey) return;
+            
             if (e.key === 't' && this.cameraGestureDetector) {
                 console.log('🧪 Testing camera drawing manually...');
                 if (!this.cameraGestureDetector.isDrawing) {
@@ -666,34 +1630,18 @@ class DrawingApp {
     }
     
     emergencyClear() {
-        // Emergency clear that works regardless of WebGL state
+        // Emergency clear that also rebuilds the WebGL render targets
         console.log('🚨 Emergency clear - trying all methods...');
         
         try {
-            // Method 1: WebGL clear
+            // Method 1: Engine clear
             if (this.drawingEngine) {
                 this.drawingEngine.clear();
-                console.log('✅ WebGL clear attempted');
+                console.log('✅ Engine clear attempted');
             }
             
-            // Method 2: Fallback canvas clear
-            if (this.fallbackCtx && this.fallbackCanvas) {
-                this.fallbackCtx.clearRect(0, 0, this.fallbackCanvas.width, this.fallbackCanvas.height);
-                console.log('✅ Fallback canvas cleared');
-            }
-            
-            // Method 3: Direct canvas clear (if available)
-            const mainCanvas = document.getElementById('drawingCanvas');
-            if (mainCanvas) {
-                const ctx = mainCanvas.getContext('2d');
-                if (ctx) {
-                    ctx.clearRect(0, 0, mainCanvas.width, mainCanvas.height);
-                    console.log('✅ Direct 2D canvas clear attempted');
-                }
-            }
-            
-            // Method 4: Force re-initialization
-            if (this.drawingEngine) {
+            // Method 2: Force re-initialization
+            if (this.drawingEngine && this.drawingEngine.backend === 'webgl') {
                 this.drawingEngine.setupRenderTargets();
                 console.log('✅ Render targets re-initialized');
             }
@@ -709,15 +1657,16 @@ class DrawingApp {
     exportImage() {
         if (!this.drawingEngine) return null;
         
-        // Create a temporary canvas to export the image
+        // Create a temporary canvas to export the image, as big as the document
+        const bounds = this.drawingEngine.getDocumentBounds();
         const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = this.canvas.width;
-        tempCanvas.height = this.canvas.height;
+        tempCanvas.width = bounds.width;
+        tempCanvas.height = bounds.height;
         const tempCtx = tempCanvas.getContext('2d');
         
-        // Get image data from WebGL canvas
+        // Get image data from the drawing engine
         const imageData = this.drawingEngine.getImageData();
-        const canvasImageData = tempCtx.createImageData(this.canvas.width, this.canvas.height);
+        const canvasImageData = tempCtx.createImageData(bounds.width, bounds.height);
         canvasImageData.data.set(imageData);
         tempCtx.putImageData(canvasImageData, 0, 0);
         
@@ -738,7 +1687,9 @@ class DrawingApp {
                 width: this.canvas.width,
                 height: this.canvas.height
             },
-            webglSupport: !!this.drawingEngine,
+            webglSupport: !!this.drawingEngine && this.drawingEngine.backend === 'webgl',
+            backend: this.drawingEngine ? this.drawingEngine.backend : null,
+            rendering: this.drawingEngine ? this.drawingEngine.getPerformanceStats() : null,
             pressure: this.gestureHandler ? this.gestureHandler.getCurrentPressure() : 0,
             velocity: this.gestureHandler ? this.gestureHandler.getCurrentVelocity() : 0,
             cameraActive: this.cameraGestureDetector ? this.cameraGestureDetector.isEnabled() : false,
@@ -0,0 +1,355 @@
+// Marquee and lasso selections, and the transform handles of a floating selection
+const SELECTION_TOOLS = ['select-rect', 'lasso'];
+const SELECTION_HANDLE_RADIUS = 7;     // screen pixels
+const SELECTION_ROTATE_OFFSET = 28;    // screen pixels above the top edge
+const SELECTION_MIN_SIZE = 3;          // document pixels, smaller drags select nothing
+
+class SelectionTool {
+    constructor() {
+        this.path = null;      // { tool, points } while a marquee or lasso is dragged
+        this.floating = null;  // { polygon, bounds, transform } once pixels are lifted
+        this.drag = null;      // active handle drag
+    }
+    
+    static isSelectionTool(tool) {
+        return SELECTION_TOOLS.includes(tool);
+    }
+    
+    // Drawing the selection outline
+    beginPath(tool, x, y) {
+        this.path = { tool, points: [{ x, y }] };
+    }
+    
+    extendPath(x, y, constrain) {
+        const path = this.path;
+        if (path.tool === 'lasso') {
+            path.points.push({ x, y });
+            return;
+        }
+        
+        // The marquee keeps its start corner, Shift makes it square
+        const start = path.points[0];
+        const end = constrain ? ShapeTool.constrain('rect', start, { x, y }) : { x, y };
+        path.points = [start, end];
+    }
+    
+    // Returns the selected polygon, or null when the drag was too small
+    finishPath() {
+        const path = this.path;
+        this.path = null;
+        if (!path) return null;
+        
+        const polygon = path.tool === 'lasso' ? path.points : SelectionTool.rectPolygon(path.points[0], path.points[path.points.length - 1]);
+        const bounds = SelectionTool.getBounds(polygon);
+        if (polygon.length < 3 || bounds.width < SELECTION_MIN_SIZE || bounds.height < SELECTION_MIN_SIZE) return null;
+        
+        return polygon;
+    }
+    
+    // Forgets the outline being drawn without selecting anything
+    cancelPath() {
+        this.path = null;
+    }
+    
+    getOutline() {
+        if (!this.path) return null;
+        return this.path.tool === 'lasso' ? this.path.points : SelectionTool.rectPolygon(this.path.points[0], this.path.points[this.path.points.length - 1]);
+    }
+    
+    // Floating selection
+    float(polygon, transform = {}) {
+        this.floating = {
+            polygon,
+            bounds: SelectionTool.getBounds(polygon),
+            transform: { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, ...transform }
+        };
+        return this.floating;
+    }
+    
+    drop() {
+        this.path = null;
+        this.floating = null;
+        this.drag = null;
+    }
+    
+    flip(horizontal) {
+        if (!this.floating) return;
+        
+        const transform = this.floating.transform;
+        if (horizontal) {
+            transform.scaleX = -transform.scaleX;
+        } else {
+            transform.scaleY = -transform.scaleY;
+        }
+    }
+    
+    // Column-major mat3 taking lifted pixels to their transformed place:
+    // rotate and scale about the centre of the selection, then translate
+    static getMatrix(floating) {
+        const { x, y, scaleX, scaleY, rotation } = floating.transform;
+        const cx = floating.bounds.x + floating.bounds.width / 2;
+        const cy = floating.bounds.y + floating.bounds.height / 2;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const a = cos * scaleX;
+        const b = sin * scaleX;
+        const c = -sin * scaleY;
+        const d = cos * scaleY;
+        
+        return [
+            a, b, 0,
+            c, d, 0,
+            cx + x - a * cx - c * cy, cy + y - b * cx - d * cy, 1
+        ];
+    }
+    
+    static transformPoint(matrix, point) {
+        return {
+            x: matrix[0] * point.x + matrix[3] * point.y + matrix[6],
+            y: matrix[1] * point.x + matrix[4] * point.y + matrix[7]
+        };
+    }
+    
+    getCorners() {
+        const { x, y, width, height } = this.floating.bounds;
+        const matrix = SelectionTool.getMatrix(this.floating);
+        
+        return [
+            { x, y, corner: [-1, -1] },
+            { x: x + width, y, corner: [1, -1] },
+            { x: x + width, y: y + height, corner: [1, 1] },
+            { x, y: y + height, corner: [-1, 1] }
+        ].map(point => ({ ...SelectionTool.transformPoint(matrix, point), corner: point.corner }));
+    }
+    
+    getCenter() {
+        const { x, y } = this.floating.transform;
+        const bounds = this.floating.bounds;
+        return { x: bounds.x + bounds.width / 2 + x, y: bounds.y + bounds.height / 2 + y };
+    }
+    
+    getRotateHandle(zoom) {
+        // Above the middle of the top edge, whichever way the selection is turned
+        const [topLeft, topRight, bottomRight, bottomLeft] = this.getCorners();
+        const top = { x: (topLeft.x + topRight.x) / 2, y: (topLeft.y + topRight.y) / 2 };
+        const bottom = { x: (bottomLeft.x + bottomRight.x) / 2, y: (bottomLeft.y + bottomRight.y) / 2 };
+        const length = Math.hypot(top.x - bottom.x, top.y - bottom.y) || 1;
+        const offset = SELECTION_ROTATE_OFFSET / zoom;
+        
+        return {
+            x: top.x + (top.x - bottom.x) / length * offset,
+            y: top.y + (top.y - bottom.y) / length * offset
+        };
+    }
+    
+    // 'rotate', a scale corner, 'move' inside the selection, or null
+    hitTest(x, y, zoom = 1) {
+        if (!this.floating) return null;
+        
+        const radius = SELECTION_HANDLE_RADIUS * 1.5 / zoom;
+        const rotate = this.getRotateHandle(zoom);
+        if (Math.hypot(x - rotate.x, y - rotate.y) <= radius) {
+            return { type: 'rotate' };
+        }
+        
+        const corner = this.getCorners().find(point => Math.hypot(x - point.x, y - point.y) <= radius);
+        if (corner) {
+            return { type: 'scale', corner: corner.corner };
+        }
+        
+        if (SelectionTool.containsPoint(this.getCorners(), x, y)) {
+            return { type: 'move' };
+        }
+        return null;
+    }
+    
+    beginDrag(hit, x, y) {
+        this.drag = {
+            type: hit.type,
+            corner: hit.corner,
+            start: { x, y },
+            transform: { ...this.floating.transform },
+            // The opposite corner stays put while scaling
+            anchor: hit.corner ? this.getCorners().find(point => point.corner[0] === -hit.corner[0] && point.corner[1] === -hit.corner[1]) : null
+        };
+    }
+    
+    updateDrag(x, y, constrain) {
+        const drag = this.drag;
+        if (!drag) return;
+        
+        const transform = this.floating.transform;
+        const bounds = this.floating.bounds;
+        
+        switch (drag.type) {
+            case 'move':
+                transform.x = drag.transform.x + x - drag.start.x;
+                transform.y = drag.transform.y + y - drag.start.y;
+                break;
+            
+            case 'rotate': {
+                const center = this.getCenter();
+                const startAngle = Math.atan2(drag.start.y - center.y, drag.start.x - center.x);
+                let rotation = drag.transform.rotation + Math.atan2(y - center.y, x - center.x) - startAngle;
+                
+                // Shift snaps to 15 degree steps
+                if (constrain) {
+                    const step = Math.PI / 12;
+                    rotation = Math.round(rotation / step) * step;
+                }
+                transform.rotation = rotation;
+                break;
+            }
+            
+            case 'scale': {
+                // Pointer offset from the fixed corner, in the selection's own axes
+                const cos = Math.cos(transform.rotation);
+                const sin = Math.sin(transform.rotation);
+                const dx = x - drag.anchor.x;
+                const dy = y - drag.anchor.y;
+                const u = cos * dx + sin * dy;
+                const v = -sin * dx + cos * dy;
+                
+                // Dragging past the anchor flips the selection
+                let scaleX = u / (drag.corner[0] * bounds.width);
+                let scaleY = v / (drag.corner[1] * bounds.height);
+                if (constrain) {
+                    const scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+                    scaleX = scale * (Math.sign(scaleX) || 1);
+                    scaleY = scale * (Math.sign(scaleY) || 1);
+                }
+                
+                transform.scaleX = Math.abs(scaleX) < 0.01 ? 0.01 * (Math.sign(scaleX) || 1) : scaleX;
+                transform.scaleY = Math.abs(scaleY) < 0.01 ? 0.01 * (Math.sign(scaleY) || 1) : scaleY;
+                
+                // Keep the anchor where it was: the centre sits halfway to the dragged corner
+                const halfU = drag.corner[0] * bounds.width * transform.scaleX / 2;
+                const halfV = drag.corner[1] * bounds.height * transform.scaleY / 2;
+                transform.x = drag.anchor.x + cos * halfU - sin * halfV - (bounds.x + bounds.width / 2);
+                transform.y = drag.anchor.y + sin * halfU + cos * halfV - (bounds.y + bounds.height / 2);
+                break;
+            }
+        }
+    }
+    
+    endDrag() {
+        this.drag = null;
+    }
+    
+    // Puts the selection back where the drag started
+    cancelDrag() {
+        if (!this.drag) return;
+        
+        Object.assign(this.floating.transform, this.drag.transform);
+        this.drag = null;
+    }
+    
+    // Overlay - outlines and handles in screen space
+    drawOverlay(ctx, viewport) {
+        const outline = this.floating ? this.getCorners() : this.getOutline();
+        if (!outline) return;
+        
+        const points = outline.map(point => viewport.documentToScreen(point.x, point.y));
+        const closed = !!this.floating || this.path.tool !== 'lasso';
+        
+        // Marching ants: a dashed line over a solid one
+        ctx.save();
+        ctx.lineWidth = 1;
+        [['#ffffff', []], ['#000000', [5, 4]]].forEach(([color, dash]) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            if (closed) ctx.closePath();
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        if (this.floating) {
+            const zoom = viewport.zoom;
+            const rotate = viewport.documentToScreen(this.getRotateHandle(zoom).x, this.getRotateHandle(zoom).y);
+            const top = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+            
+            ctx.strokeStyle = '#667eea';
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y);
+            ctx.lineTo(rotate.x, rotate.y);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            [...points, rotate].forEach((point, i) => {
+                ctx.beginPath();
+                if (i === 4) {
+                    ctx.arc(point.x, point.y, SELECTION_HANDLE_RADIUS, 0, Math.PI * 2);
+                } else {
+                    ctx.rect(point.x - SELECTION_HANDLE_RADIUS, point.y - SELECTION_HANDLE_RADIUS, SELECTION_HANDLE_RADIUS * 2, SELECTION_HANDLE_RADIUS * 2);
+                }
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+        ctx.restore();
+    }
+    
+    // Geometry helpers
+    static rectPolygon(start, end) {
+        return [
+            { x: start.x, y: start.y },
+            { x: end.x, y: start.y },
+            { x: end.x, y: end.y },
+            { x: start.x, y: end.y }
+        ];
+    }
+    
+    static getBounds(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    
+    // Even-odd rule, so a self-crossing lasso behaves like other paint apps
+    static containsPoint(polygon, x, y) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    // Coverage mask (0 or 255 per pixel, top row first) sampled at pixel centres
+    static rasterize(polygon, width, height) {
+        const mask = new Uint8Array(width * height);
+        const bounds = SelectionTool.getBounds(polygon);
+        const top = Math.max(0, Math.floor(bounds.y));
+        const bottom = Math.min(height - 1, Math.ceil(bounds.y + bounds.height));
+        
+        for (let y = top; y <= bottom; y++) {
+            const sampleY = y + 0.5;
+            
+            // Edge crossings along this row, filled pairwise
+            const crossings = [];
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[i];
+                const b = polygon[j];
+                if ((a.y > sampleY) !== (b.y > sampleY)) {
+                    crossings.push((b.x - a.x) * (sampleY - a.y) / (b.y - a.y) + a.x);
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const start = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                const end = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+                mask.fill(255, y * width + start, y * width + end + 1);
+            }
+        }
+        return mask;
+    }
+}
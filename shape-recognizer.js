@@ -0,0 +1,301 @@
+// Recognises rough hand-drawn shapes so a stroke can be swapped for a clean one
+const RECOGNIZER_SAMPLES = 64;
+
+class ShapeRecognizer {
+    constructor(options = {}) {
+        this.minSize = options.minSize || 20;                  // px, smaller strokes stay as drawn
+        this.lineStraightness = options.lineStraightness || 0.94; // chord / path length for lines
+        this.closeGap = options.closeGap || 0.2;                // end gap / path length for closed shapes
+        this.fitTolerance = options.fitTolerance || 0.07;       // mean fit error / shape size
+    }
+    
+    // Returns a shape in ShapeTool form plus a 'label', or null when nothing fits
+    recognize(rawPoints) {
+        if (!rawPoints || rawPoints.length < 4) return null;
+        
+        const points = ShapeRecognizer.resample(rawPoints, RECOGNIZER_SAMPLES);
+        const bounds = ShapeRecognizer.getBounds(points);
+        const size = Math.hypot(bounds.width, bounds.height);
+        if (size < this.minSize) return null;
+        
+        const length = ShapeRecognizer.pathLength(points);
+        const first = points[0];
+        const last = points[points.length - 1];
+        const gap = Math.hypot(last.x - first.x, last.y - first.y);
+        
+        if (gap > length * this.closeGap) {
+            return this.recognizeOpen(points, length);
+        }
+        return this.recognizeClosed(points, size);
+    }
+    
+    recognizeOpen(points, length) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        
+        if (Math.hypot(last.x - first.x, last.y - first.y) >= length * this.lineStraightness) {
+            return { label: 'line', type: 'line', start: { ...first }, end: { ...last } };
+        }
+        
+        // An arrow is a straight shaft to the farthest point, then a short head stroke
+        let tipIndex = 0;
+        let tipDistance = 0;
+        points.forEach((point, i) => {
+            const distance = Math.hypot(point.x - first.x, point.y - first.y);
+            if (distance > tipDistance) {
+                tipDistance = distance;
+                tipIndex = i;
+            }
+        });
+        
+        const shaft = points.slice(0, tipIndex + 1);
+        const head = points.slice(tipIndex);
+        const shaftLength = ShapeRecognizer.pathLength(shaft);
+        const headLength = ShapeRecognizer.pathLength(head);
+        
+        if (shaft.length > 2 && tipDistance >= shaftLength * this.lineStraightness &&
+            headLength > shaftLength * 0.1 && headLength < shaftLength * 0.8) {
+            return { label: 'arrow', type: 'arrow', start: { ...first }, end: { ...points[tipIndex] } };
+        }
+        
+        return null;
+    }
+    
+    recognizeClosed(points, size) {
+        const ellipse = ShapeRecognizer.fitEllipse(points);
+        const ellipseError = ShapeRecognizer.ellipseError(points, ellipse) / size;
+        
+        // Corners survive simplification; a smooth loop keeps many small segments
+        const tolerance = size * 0.08;
+        const loop = ShapeRecognizer.simplify([...points, points[0]], tolerance).slice(0, -1);
+        const corners = ShapeRecognizer.dropCollinear(loop, tolerance);
+        // Boxes drawn nearly level are straightened
+        const quarter = Math.PI / 2;
+        const level = Math.round(ellipse.angle / quarter) * quarter;
+        const boxAngle = Math.abs(ellipse.angle - level) < 0.1 ? level : ellipse.angle;
+        const polygon = corners.length === 3 ? corners : (corners.length === 4 ? ShapeRecognizer.fitRectangle(points, boxAngle) : null);
+        const polygonError = polygon ? ShapeRecognizer.polygonError(points, polygon) / size : Infinity;
+        
+        if (polygon && polygonError <= ellipseError && polygonError < this.fitTolerance) {
+            return {
+                label: polygon.length === 3 ? 'triangle' : 'rectangle',
+                type: 'polygon',
+                vertices: polygon.map(point => ({ x: point.x, y: point.y })),
+                start: { ...polygon[0] },
+                end: { ...polygon[Math.floor(polygon.length / 2)] }
+            };
+        }
+        
+        if (ellipseError < this.fitTolerance) {
+            const circle = Math.min(ellipse.radiusX, ellipse.radiusY) / Math.max(ellipse.radiusX, ellipse.radiusY) > 0.85;
+            const radiusX = circle ? (ellipse.radiusX + ellipse.radiusY) / 2 : ellipse.radiusX;
+            const radiusY = circle ? radiusX : ellipse.radiusY;
+            
+            return {
+                label: circle ? 'circle' : 'ellipse',
+                type: 'ellipse',
+                start: { x: ellipse.cx - radiusX, y: ellipse.cy - radiusY },
+                end: { x: ellipse.cx + radiusX, y: ellipse.cy + radiusY },
+                rotation: circle ? 0 : ellipse.angle
+            };
+        }
+        
+        return null;
+    }
+    
+    // Principal axes of the point cloud give the centre, orientation and radii
+    static fitEllipse(points) {
+        const n = points.length;
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / n;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / n;
+        
+        let xx = 0, yy = 0, xy = 0;
+        points.forEach(p => {
+            xx += (p.x - cx) ** 2;
+            yy += (p.y - cy) ** 2;
+            xy += (p.x - cx) * (p.y - cy);
+        });
+        const angle = 0.5 * Math.atan2(2 * xy, xx - yy);
+        
+        // Project into the axis frame
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const local = points.map(p => ({
+            u: (p.x - cx) * cos + (p.y - cy) * sin,
+            v: -(p.x - cx) * sin + (p.y - cy) * cos
+        }));
+        
+        // Start from the spread along each axis (mean cos^2 around an ellipse is 1/2),
+        // then refine u = rx cos(t), v = ry sin(t) by least squares a few times
+        let radiusX = Math.sqrt(2 * local.reduce((sum, p) => sum + p.u * p.u, 0) / n) || 1;
+        let radiusY = Math.sqrt(2 * local.reduce((sum, p) => sum + p.v * p.v, 0) / n) || 1;
+        
+        for (let iteration = 0; iteration < 5; iteration++) {
+            let uc = 0, cc = 0, vs = 0, ss = 0;
+            local.forEach(p => {
+                const t = Math.atan2(p.v / radiusY, p.u / radiusX);
+                uc += p.u * Math.cos(t);
+                cc += Math.cos(t) ** 2;
+                vs += p.v * Math.sin(t);
+                ss += Math.sin(t) ** 2;
+            });
+            radiusX = Math.max(uc / cc, 1);
+            radiusY = Math.max(vs / ss, 1);
+        }
+        
+        return { cx, cy, angle, radiusX, radiusY };
+    }
+    
+    static ellipseError(points, ellipse) {
+        const cos = Math.cos(ellipse.angle);
+        const sin = Math.sin(ellipse.angle);
+        const scale = (ellipse.radiusX + ellipse.radiusY) / 2;
+        
+        // Radial distance from the ellipse, measured in the fitted frame
+        const total = points.reduce((sum, p) => {
+            const u = ((p.x - ellipse.cx) * cos + (p.y - ellipse.cy) * sin) / ellipse.radiusX;
+            const v = (-(p.x - ellipse.cx) * sin + (p.y - ellipse.cy) * cos) / ellipse.radiusY;
+            return sum + Math.abs(Math.hypot(u, v) - 1) * scale;
+        }, 0);
+        
+        return total / points.length;
+    }
+    
+    static fitRectangle(points, angle) {
+        // Box aligned with the principal axis that holds the points
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+        
+        points.forEach(p => {
+            const u = p.x * cos + p.y * sin;
+            const v = -p.x * sin + p.y * cos;
+            minU = Math.min(minU, u);
+            maxU = Math.max(maxU, u);
+            minV = Math.min(minV, v);
+            maxV = Math.max(maxV, v);
+        });
+        
+        return [[minU, minV], [maxU, minV], [maxU, maxV], [minU, maxV]].map(([u, v]) => ({
+            x: u * cos - v * sin,
+            y: u * sin + v * cos
+        }));
+    }
+    
+    static polygonError(points, polygon) {
+        const total = points.reduce((sum, p) => {
+            let best = Infinity;
+            polygon.forEach((a, i) => {
+                best = Math.min(best, ShapeRecognizer.segmentDistance(p, a, polygon[(i + 1) % polygon.length]));
+            });
+            return sum + best;
+        }, 0);
+        
+        return total / points.length;
+    }
+    
+    // The stroke's start point always survives simplification, even mid-edge
+    static dropCollinear(polygon, epsilon) {
+        const result = polygon.slice();
+        let i = 0;
+        
+        while (result.length > 3 && i < result.length) {
+            const previous = result[(i + result.length - 1) % result.length];
+            const next = result[(i + 1) % result.length];
+            
+            if (ShapeRecognizer.segmentDistance(result[i], previous, next) < epsilon) {
+                result.splice(i, 1);
+            } else {
+                i++;
+            }
+        }
+        return result;
+    }
+    
+    // Ramer-Douglas-Peucker
+    static simplify(points, epsilon) {
+        if (points.length < 3) return points.slice();
+        
+        const first = points[0];
+        const last = points[points.length - 1];
+        let index = 0;
+        let maxDistance = 0;
+        
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = ShapeRecognizer.segmentDistance(points[i], first, last);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        
+        if (maxDistance <= epsilon) return [first, last];
+        
+        const left = ShapeRecognizer.simplify(points.slice(0, index + 1), epsilon);
+        const right = ShapeRecognizer.simplify(points.slice(index), epsilon);
+        return [...left.slice(0, -1), ...right];
+    }
+    
+    static segmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        // A closed loop's end points coincide, so its farthest point splits it first
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+        return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+    }
+    
+    static resample(points, count) {
+        const interval = ShapeRecognizer.pathLength(points) / (count - 1);
+        if (interval === 0) return [{ x: points[0].x, y: points[0].y }];
+        
+        const result = [{ x: points[0].x, y: points[0].y }];
+        let previous = result[0];
+        let carried = 0;
+        
+        for (let i = 1; i < points.length; i++) {
+            let current = { x: points[i].x, y: points[i].y };
+            let segment = Math.hypot(current.x - previous.x, current.y - previous.y);
+            
+            while (carried + segment >= interval && result.length < count) {
+                const t = (interval - carried) / segment;
+                const point = {
+                    x: previous.x + (current.x - previous.x) * t,
+                    y: previous.y + (current.y - previous.y) * t
+                };
+                result.push(point);
+                previous = point;
+                segment = Math.hypot(current.x - previous.x, current.y - previous.y);
+                carried = 0;
+            }
+            
+            carried += segment;
+            previous = current;
+        }
+        
+        // Rounding can leave the last sample short
+        if (result.length < count) {
+            const end = points[points.length - 1];
+            result.push({ x: end.x, y: end.y });
+        }
+        return result;
+    }
+    
+    static pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+    
+    static getBounds(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+    }
+}
@@ -0,0 +1,119 @@
+// Geometry for the shape tools - outlines and fills in document space
+const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'polygon', 'arrow'];
+const ELLIPSE_SEGMENTS = 72;
+
+class ShapeTool {
+    static isShapeTool(tool) {
+        return SHAPE_TOOLS.includes(tool);
+    }
+    
+    // Shift: lines and arrows snap to 45 degrees, boxes become squares
+    static constrain(type, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        
+        if (type === 'line' || type === 'arrow') {
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const length = Math.hypot(dx, dy);
+            return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+        }
+        
+        const side = Math.max(Math.abs(dx), Math.abs(dy));
+        return { x: start.x + side * (Math.sign(dx) || 1), y: start.y + side * (Math.sign(dy) || 1) };
+    }
+    
+    // Returns { outlines: [{ points, closed, smooth, always }], fills: [[points]] }.
+    // Outlines marked 'always' are drawn even with the outline option off, and
+    // fill polygons are convex so they can be drawn as triangle fans.
+    static build(shape) {
+        const start = shape.start;
+        const end = shape.constrain ? ShapeTool.constrain(shape.type, start, shape.end) : shape.end;
+        
+        switch (shape.type) {
+            case 'line':
+                return { outlines: [{ points: [start, end], closed: false, always: true }], fills: [] };
+            case 'rect':
+                return ShapeTool.closedShape([
+                    { x: start.x, y: start.y },
+                    { x: end.x, y: start.y },
+                    { x: end.x, y: end.y },
+                    { x: start.x, y: end.y }
+                ], false);
+            case 'ellipse':
+                return ShapeTool.closedShape(ShapeTool.ellipsePoints(start, end, ELLIPSE_SEGMENTS, 0, shape.rotation), true);
+            case 'polygon':
+                // Recognised shapes carry their own corners
+                if (shape.vertices) {
+                    return ShapeTool.closedShape(shape.vertices, false);
+                }
+                
+                // Regular polygon inscribed in the drag box, first corner at the top
+                return ShapeTool.closedShape(ShapeTool.ellipsePoints(start, end, Math.max(3, shape.sides || 5), -Math.PI / 2), false);
+            case 'arrow':
+                return ShapeTool.arrow(start, end, shape);
+            default:
+                return { outlines: [], fills: [] };
+        }
+    }
+    
+    static closedShape(points, smooth) {
+        return { outlines: [{ points, closed: true, smooth }], fills: [points] };
+    }
+    
+    // 'rotation' turns the ellipse about its centre, in radians
+    static ellipsePoints(start, end, segments, startAngle, rotation = 0) {
+        const cx = (start.x + end.x) / 2;
+        const cy = (start.y + end.y) / 2;
+        const rx = Math.abs(end.x - start.x) / 2;
+        const ry = Math.abs(end.y - start.y) / 2;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const points = [];
+        
+        for (let i = 0; i < segments; i++) {
+            const angle = startAngle + (i / segments) * Math.PI * 2;
+            const x = Math.cos(angle) * rx;
+            const y = Math.sin(angle) * ry;
+            points.push({ x: cx + x * cos - y * sin, y: cy + x * sin + y * cos });
+        }
+        return points;
+    }
+    
+    static arrow(start, end, shape) {
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        
+        // Head grows with the line width but never swallows a short arrow
+        const headLength = Math.min(length * 0.5, Math.max(12, shape.size * 4));
+        const spread = Math.PI / 7;
+        const left = {
+            x: end.x - Math.cos(angle - spread) * headLength,
+            y: end.y - Math.sin(angle - spread) * headLength
+        };
+        const right = {
+            x: end.x - Math.cos(angle + spread) * headLength,
+            y: end.y - Math.sin(angle + spread) * headLength
+        };
+        
+        if (shape.fill) {
+            // Stop the shaft at the solid head
+            const base = { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 };
+            return {
+                outlines: [
+                    { points: [start, base], closed: false, always: true },
+                    { points: [left, end, right], closed: true }
+                ],
+                fills: [[left, end, right]]
+            };
+        }
+        
+        return {
+            outlines: [
+                { points: [start, end], closed: false, always: true },
+                { points: [left, end, right], closed: false, always: true }
+            ],
+            fills: []
+        };
+    }
+}
@@ -0,0 +1,120 @@
+// Retained vector model of every stroke drawn on the canvas
+class StrokeDocument {
+    constructor() {
+        this.strokes = [];
+        this.nextId = 1;
+    }
+    
+    createStroke(properties) {
+        return {
+            id: this.nextId++,
+            tool: properties.tool,
+            color: { ...properties.color },
+            size: properties.size,
+            source: properties.source || 'unknown', // pointer type (mouse, pen, touch), camera...
+            layerId: properties.layerId,
+            mode: properties.mode || 'stamp', // stamp or ribbon renderer
+            brush: properties.brush ? { ...properties.brush } : null, // tip settings used
+            seed: properties.seed || 1, // jitter seed, replays the stroke exactly
+            shape: properties.shape ? { ...properties.shape } : null, // shape tools: type, corners, fill
+            floodFill: properties.floodFill ? { ...properties.floodFill } : null, // bucket: tolerance, gaps, anti-aliasing
+            selection: properties.selection ? { ...properties.selection } : null, // lifted region: transform, delete, pasted pixels
+            text: properties.text ? { ...properties.text } : null, // text object: content, font, size, alignment
+            symmetry: properties.symmetry ? { ...properties.symmetry } : null, // mirror/radial mode, segments, centre
+            merge: properties.merge ? { ...properties.merge } : null, // merged-down layer: id, opacity, blend mode
+            startTime: Date.now(),
+            points: []
+        };
+    }
+    
+    // Pen samples also keep their tilt and twist so replays shape the tip the same way
+    addPoint(stroke, x, y, pressure, pen = null, time = Date.now()) {
+        const point = { x, y, pressure, time };
+        if (pen) {
+            point.tiltX = pen.tiltX;
+            point.tiltY = pen.tiltY;
+            point.twist = pen.twist;
+        }
+        stroke.points.push(point);
+    }
+    
+    commit(stroke) {
+        // A merge has no points of its own
+        if (!stroke || (stroke.points.length === 0 && !stroke.merge)) return;
+        this.strokes.push(stroke);
+    }
+    
+    clear() {
+        this.strokes = [];
+    }
+    
+    // The layer and every layer merged down into it, directly or through
+    // others; a merge always comes after the strokes it takes in
+    getMergedLayerIds(layerId) {
+        const ids = new Set([layerId]);
+        for (let i = this.strokes.length - 1; i >= 0; i--) {
+            const stroke = this.strokes[i];
+            if (stroke.merge && ids.has(stroke.layerId)) {
+                ids.add(stroke.merge.layerId);
+            }
+        }
+        return ids;
+    }
+    
+    // Drops everything drawn on a layer, including the layers merged into it
+    removeLayer(layerId) {
+        const ids = this.getMergedLayerIds(layerId);
+        this.strokes = this.strokes.filter(stroke => !ids.has(stroke.layerId));
+    }
+    
+    getStrokes() {
+        return this.strokes;
+    }
+    
+    // Moves every stroke, e.g. when the canvas grows around an anchor
+    translate(dx, dy) {
+        if (dx === 0 && dy === 0) return;
+        
+        this.strokes.forEach(stroke => {
+            const points = stroke.shape ? [...stroke.points, stroke.shape.start, stroke.shape.end, ...(stroke.shape.vertices || [])] : stroke.points;
+            points.forEach(point => {
+                point.x += dx;
+                point.y += dy;
+            });
+            
+            // So do the symmetry centre and pasted pixels
+            if (stroke.symmetry) {
+                stroke.symmetry.center = { x: stroke.symmetry.center.x + dx, y: stroke.symmetry.center.y + dy };
+            }
+            if (stroke.selection && stroke.selection.block) {
+                stroke.selection.block.x += dx;
+                stroke.selection.block.y += dy;
+            }
+        });
+    }
+    
+    // Undo support - the stroke list is swapped in and out of history entries
+    snapshot() {
+        return this.strokes.slice();
+    }
+    
+    restore(strokes) {
+        const previous = this.strokes;
+        this.strokes = strokes;
+        return previous;
+    }
+    
+    toJSON() {
+        return {
+            version: 1,
+            strokes: this.strokes
+        };
+    }
+    
+    static fromJSON(data) {
+        const doc = new StrokeDocument();
+        doc.strokes = (data && data.strokes) ? data.strokes.slice() : [];
+        doc.nextId = doc.strokes.reduce((max, stroke) => Math.max(max, stroke.id), 0) + 1;
+        return doc;
+    }
+}
@@ -0,0 +1,153 @@
+// Centripetal Catmull-Rom stroke interpolation with arc-length dab spacing
+class StrokeInterpolator {
+    constructor(options = {}) {
+        this.alpha = 0.5; // 0.5 = centripetal, avoids cusps and overshoot
+        this.spacing = options.spacing || (() => 2); // pressure -> distance between dabs
+        this.reset();
+    }
+    
+    reset() {
+        this.points = [];
+        this.distanceToNextDab = 0;
+    }
+    
+    // Adds an input sample and returns the dabs that can be placed so far.
+    // A segment is only drawn once the sample after it is known.
+    addPoint(point) {
+        const last = this.points[this.points.length - 1];
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) < 0.01) {
+            Object.assign(last, StrokeInterpolator.mixInputs(point, point, 0));
+            return [];
+        }
+        
+        this.points.push({ x: point.x, y: point.y, ...StrokeInterpolator.mixInputs(point, point, 0) });
+        const count = this.points.length;
+        
+        if (count === 1) {
+            this.distanceToNextDab = this.spacing(point.pressure);
+            return [{ ...this.points[0] }];
+        }
+        
+        if (count >= 3) {
+            return this.interpolateSegment(count - 3);
+        }
+        
+        return [];
+    }
+    
+    // Draws the final segment, which has no following sample
+    finish() {
+        const count = this.points.length;
+        const dabs = count >= 2 ? this.interpolateSegment(count - 2) : [];
+        
+        // Close the gap left by the spacing so the stroke reaches its end
+        const end = this.points[count - 1];
+        const lastDab = dabs[dabs.length - 1];
+        if (count >= 2 && (!lastDab || lastDab.x !== end.x || lastDab.y !== end.y)) {
+            dabs.push({ ...end });
+        }
+        
+        this.reset();
+        return dabs;
+    }
+    
+    // The samples whose segment is not drawn yet, for previews ahead of the stroke
+    getPendingPoints() {
+        return this.points.slice(-2);
+    }
+    
+    interpolateSegment(index) {
+        const points = this.points;
+        const p1 = points[index];
+        const p2 = points[index + 1];
+        
+        // Reflect the neighbours at the stroke ends
+        const p0 = points[index - 1] || this.reflect(p2, p1);
+        const p3 = points[index + 2] || this.reflect(p1, p2);
+        
+        // Flatten the curve into short pieces and walk them by arc length
+        const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const pieces = Math.max(4, Math.ceil(chord / 2));
+        const dabs = [];
+        
+        let previous = { ...p1 };
+        for (let i = 1; i <= pieces; i++) {
+            const t = i / pieces;
+            const position = StrokeInterpolator.catmullRom(p0, p1, p2, p3, t, this.alpha);
+            const current = {
+                x: position.x,
+                y: position.y,
+                ...StrokeInterpolator.mixInputs(p1, p2, t)
+            };
+            
+            this.placeDabs(previous, current, dabs);
+            previous = current;
+        }
+        
+        return dabs;
+    }
+    
+    placeDabs(from, to, dabs) {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        let travelled = 0;
+        
+        while (length - travelled >= this.distanceToNextDab) {
+            travelled += this.distanceToNextDab;
+            const t = travelled / length;
+            const dab = {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                ...StrokeInterpolator.mixInputs(from, to, t)
+            };
+            
+            dabs.push(dab);
+            this.distanceToNextDab = Math.max(0.5, this.spacing(dab.pressure));
+        }
+        
+        this.distanceToNextDab -= length - travelled;
+    }
+    
+    reflect(anchor, point) {
+        return {
+            x: point.x * 2 - anchor.x,
+            y: point.y * 2 - anchor.y,
+            pressure: point.pressure
+        };
+    }
+    
+    // Pressure, plus pen tilt and twist when both samples have them, at t between two samples
+    static mixInputs(a, b, t) {
+        const inputs = { pressure: a.pressure + (b.pressure - a.pressure) * t };
+        if (a.tiltX === undefined || b.tiltX === undefined) return inputs;
+        
+        // Twist wraps at 360 degrees, so it turns the short way round
+        const turn = ((b.twist - a.twist) % 360 + 540) % 360 - 180;
+        inputs.tiltX = a.tiltX + (b.tiltX - a.tiltX) * t;
+        inputs.tiltY = a.tiltY + (b.tiltY - a.tiltY) * t;
+        inputs.twist = (a.twist + turn * t + 360) % 360;
+        return inputs;
+    }
+    
+    static catmullRom(p0, p1, p2, p3, t, alpha = 0.5) {
+        // Barry-Goldman pyramid with knot spacing |p_i+1 - p_i|^alpha
+        const knot = (a, b) => Math.max(Math.pow(Math.hypot(b.x - a.x, b.y - a.y), alpha), 1e-4);
+        const t0 = 0;
+        const t1 = t0 + knot(p0, p1);
+        const t2 = t1 + knot(p1, p2);
+        const t3 = t2 + knot(p2, p3);
+        const u = t1 + (t2 - t1) * t;
+        
+        const mix = (a, b, ta, tb) => ({
+            x: (tb - u) / (tb - ta) * a.x + (u - ta) / (tb - ta) * b.x,
+            y: (tb - u) / (tb - ta) * a.y + (u - ta) / (tb - ta) * b.y
+        });
+        
+        const a1 = mix(p0, p1, t0, t1);
+        const a2 = mix(p1, p2, t1, t2);
+        const a3 = mix(p2, p3, t2, t3);
+        const b1 = mix(a1, a2, t0, t2);
+        const b2 = mix(a2, a3, t1, t3);
+        
+        return mix(b1, b2, t1, t2);
+    }
+}
@@ -0,0 +1,131 @@
+// Mirror and kaleidoscope drawing - every dab is repeated through a set of transforms
+const SYMMETRY_MODES = ['off', 'vertical', 'horizontal', 'both', 'radial'];
+const SYMMETRY_IDENTITY = [1, 0, 0, 1, 0, 0]; // x' = a*x + c*y + e, y' = b*x + d*y + f
+const SYMMETRY_MAX_SEGMENTS = 16;
+
+class Symmetry {
+    constructor() {
+        this.mode = 'off';
+        this.segments = 6;          // copies around the centre in radial mode
+        this.mirror = true;         // radial mode also mirrors each segment, like a kaleidoscope
+        this.center = null;         // document point; null keeps it in the middle of the canvas
+        this.placingCenter = false; // the next press on the canvas moves the centre
+    }
+    
+    isActive() {
+        return this.mode !== 'off';
+    }
+    
+    // Settings as recorded with a stroke, with the centre resolved
+    getSettings(width, height) {
+        if (!this.isActive()) return null;
+        
+        return {
+            mode: this.mode,
+            segments: this.segments,
+            mirror: this.mirror,
+            center: this.center ? { ...this.center } : { x: width / 2, y: height / 2 }
+        };
+    }
+    
+    // Affine transforms for a stroke's symmetry; the first is always the identity
+    static getTransforms(settings) {
+        if (!settings) return [SYMMETRY_IDENTITY];
+        
+        const linear = [[1, 0, 0, 1]];
+        switch (settings.mode) {
+            case 'vertical':
+                linear.push([-1, 0, 0, 1]);
+                break;
+            case 'horizontal':
+                linear.push([1, 0, 0, -1]);
+                break;
+            case 'both':
+                linear.push([-1, 0, 0, 1], [1, 0, 0, -1], [-1, 0, 0, -1]);
+                break;
+            case 'radial':
+                for (let i = 0; i < settings.segments; i++) {
+                    const angle = i * Math.PI * 2 / settings.segments;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    if (i > 0) {
+                        linear.push([cos, sin, -sin, cos]);
+                    }
+                    // Rotation after a reflection across the horizontal axis
+                    if (settings.mirror) {
+                        linear.push([cos, sin, sin, -cos]);
+                    }
+                }
+                break;
+        }
+        
+        // Applied about the centre: p' = L(p - c) + c
+        const { x: cx, y: cy } = settings.center;
+        return linear.map(([a, b, c, d]) => [a, b, c, d, cx - a * cx - c * cy, cy - b * cx - d * cy]);
+    }
+    
+    static transformPoint(matrix, x, y) {
+        return {
+            x: matrix[0] * x + matrix[2] * y + matrix[4],
+            y: matrix[1] * x + matrix[3] * y + matrix[5]
+        };
+    }
+    
+    // Tip angles turn (and mirror) with the dab
+    static transformAngle(matrix, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return Math.atan2(matrix[1] * cos + matrix[3] * sin, matrix[0] * cos + matrix[2] * sin);
+    }
+    
+    // Axes and the centre, drawn in screen space over the canvas
+    drawOverlay(ctx, viewport, width, height) {
+        const settings = this.getSettings(width, height);
+        if (!settings) return;
+        
+        const center = settings.center;
+        const reach = Math.hypot(width, height);
+        const angles = [];
+        switch (settings.mode) {
+            case 'vertical':
+                angles.push(-Math.PI / 2, Math.PI / 2);
+                break;
+            case 'horizontal':
+                angles.push(0, Math.PI);
+                break;
+            case 'both':
+                angles.push(0, Math.PI / 2, Math.PI, -Math.PI / 2);
+                break;
+            case 'radial': {
+                // Mirror lines halve each segment
+                const count = settings.mirror ? settings.segments * 2 : settings.segments;
+                for (let i = 0; i < count; i++) {
+                    angles.push(i * Math.PI * 2 / count);
+                }
+                break;
+            }
+        }
+        
+        const origin = viewport.documentToScreen(center.x, center.y);
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 107, 107, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        angles.forEach(angle => {
+            const end = viewport.documentToScreen(center.x + Math.cos(angle) * reach, center.y + Math.sin(angle) * reach);
+            ctx.moveTo(origin.x, origin.y);
+            ctx.lineTo(end.x, end.y);
+        });
+        ctx.stroke();
+        
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(origin.x, origin.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,180 @@
+// Text objects - layout and rasterisation, plus the text box used to edit them
+const TEXT_FONTS = ['sans-serif', 'serif', 'monospace', 'cursive'];
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const TEXT_DEFAULTS = { font: 'sans-serif', size: 32, align: 'left' };
+const TEXT_LINE_HEIGHT = 1.25; // multiple of the font size
+
+class TextTool {
+    constructor(drawingEngine, editor) {
+        this.drawingEngine = drawingEngine;
+        this.editor = editor; // textarea floating over the canvas
+        this.placement = null; // { x, y, color, source } of the open text box
+        this.onOptionsChange = null; // editing a text object loads its font settings
+        
+        if (this.editor) {
+            this.editor.addEventListener('keydown', (e) => {
+                // Typing must not trigger the app's shortcuts
+                e.stopPropagation();
+                
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.commit();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.cancel();
+                }
+            });
+            this.editor.addEventListener('input', () => this.updateEditor());
+        }
+    }
+    
+    isOpen() {
+        return !!this.placement;
+    }
+    
+    // Opens a text box at a document point, or edits the text object there
+    open(x, y, source = 'unknown') {
+        if (!this.editor) return;
+        
+        // Clicking elsewhere places the text already being typed
+        this.commit();
+        
+        const engine = this.drawingEngine;
+        const stroke = engine.getTextAt(x, y);
+        if (stroke) {
+            if (!engine.beginTextEdit(stroke)) return;
+            
+            const { font, size, align } = stroke.text;
+            engine.setTextOptions({ font, size, align });
+            if (this.onOptionsChange) {
+                this.onOptionsChange(engine.textOptions);
+            }
+            this.placement = { x: stroke.points[0].x, y: stroke.points[0].y, color: stroke.color, source };
+            this.editor.value = stroke.text.content;
+        } else {
+            this.placement = { x, y, color: engine.currentColor, source };
+            this.editor.value = '';
+        }
+        
+        this.editor.hidden = false;
+        this.updateEditor();
+        this.editor.focus();
+    }
+    
+    // Rasterises the typed text into the layer
+    commit() {
+        if (!this.placement) return false;
+        
+        const placement = this.placement;
+        const content = this.editor.value;
+        this.close();
+        return this.drawingEngine.commitText(placement.x, placement.y, content, placement.color, placement.source);
+    }
+    
+    // Closes the box without changing the drawing
+    cancel() {
+        if (!this.placement) return;
+        
+        this.close();
+        this.drawingEngine.cancelTextEdit();
+    }
+    
+    close() {
+        this.placement = null;
+        this.editor.hidden = true;
+        this.editor.blur();
+    }
+    
+    setColor(color) {
+        if (!this.placement) return;
+        
+        this.placement.color = color;
+        this.updateEditor();
+    }
+    
+    // Keeps the box over its anchor, in the current font, zoom and rotation
+    updateEditor() {
+        if (!this.placement || !this.editor) return;
+        
+        const engine = this.drawingEngine;
+        const viewport = engine.getViewport();
+        const options = engine.textOptions;
+        const canvas = engine.canvas;
+        const cssScale = canvas.clientWidth / canvas.width || 1; // CSS pixels per canvas pixel
+        const scale = cssScale * viewport.zoom; // CSS pixels per document pixel
+        const screen = viewport.documentToScreen(this.placement.x, this.placement.y);
+        const color = this.placement.color;
+        
+        const bounds = TextTool.measure({ ...options, content: this.editor.value }, this.placement);
+        const style = this.editor.style;
+        style.left = `${screen.x * cssScale}px`;
+        style.top = `${screen.y * cssScale}px`;
+        style.width = `${(Math.max(bounds.width, options.size) + options.size / 2) * scale}px`;
+        style.height = `${bounds.height * scale}px`;
+        style.font = `${options.size * scale}px ${options.font}`;
+        style.lineHeight = TEXT_LINE_HEIGHT;
+        style.textAlign = options.align;
+        style.color = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+        
+        // The anchor sits on the aligned edge, and the box turns with the view
+        const shift = { left: '0%', center: '-50%', right: '-100%' }[options.align];
+        style.transform = `rotate(${viewport.rotation}rad) translateX(${shift})`;
+    }
+    
+    // Layout helpers, shared with the drawing engine
+    static getFont(text) {
+        return `${text.size}px ${text.font}`;
+    }
+    
+    static getLines(text) {
+        return text.content.split('\n');
+    }
+    
+    // Document-space box of a text object anchored at a point
+    static measure(text, point) {
+        if (!TextTool.measureContext) {
+            TextTool.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        
+        const ctx = TextTool.measureContext;
+        ctx.font = TextTool.getFont(text);
+        const lines = TextTool.getLines(text);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+        const height = lines.length * text.size * TEXT_LINE_HEIGHT;
+        const offset = { left: 0, center: width / 2, right: width }[text.align] || 0;
+        
+        return { x: point.x - offset, y: point.y, width, height };
+    }
+    
+    static containsPoint(text, point, x, y) {
+        const bounds = TextTool.measure(text, point);
+        return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+    }
+    
+    // Coverage mask (0-255 per pixel, top row first) of the text at its anchor
+    static rasterize(text, point, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.font = TextTool.getFont(text);
+        ctx.textAlign = text.align;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        
+        // Half the leading above each line, like the text box shows it
+        const lineHeight = text.size * TEXT_LINE_HEIGHT;
+        const leading = (lineHeight - text.size) / 2;
+        TextTool.getLines(text).forEach((line, i) => {
+            ctx.fillText(line, point.x, point.y + leading + i * lineHeight);
+        });
+        
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const coverage = new Uint8Array(width * height);
+        for (let i = 0; i < coverage.length; i++) {
+            coverage[i] = pixels[i * 4 + 3];
+        }
+        return coverage;
+    }
+}
@@ -0,0 +1,118 @@
+// View camera mapping document space onto the screen (pan, zoom, rotate)
+const MIN_ZOOM = 0.1;  // 10%
+const MAX_ZOOM = 32;   // 3200%
+const PASTEBOARD_COLOR = { r: 0.8, g: 0.8, b: 0.82 }; // shown around the document
+
+class Viewport {
+    constructor() {
+        this.onChange = null;
+        this.panX = 0;
+        this.panY = 0;
+        this.zoom = 1;
+        this.rotation = 0; // radians, clockwise on screen
+    }
+    
+    reset() {
+        this.panX = 0;
+        this.panY = 0;
+        this.zoom = 1;
+        this.rotation = 0;
+        this.notifyChange();
+    }
+    
+    isIdentity() {
+        return this.panX === 0 && this.panY === 0 && this.zoom === 1 && this.rotation === 0;
+    }
+    
+    // screen = pan + rotate(zoom * document)
+    documentToScreen(x, y) {
+        const cos = Math.cos(this.rotation) * this.zoom;
+        const sin = Math.sin(this.rotation) * this.zoom;
+        
+        return {
+            x: this.panX + cos * x - sin * y,
+            y: this.panY + sin * x + cos * y
+        };
+    }
+    
+    screenToDocument(x, y) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const dx = x - this.panX;
+        const dy = y - this.panY;
+        
+        return {
+            x: (cos * dx + sin * dy) / this.zoom,
+            y: (-sin * dx + cos * dy) / this.zoom
+        };
+    }
+    
+    // Column-major mat3 for the u_transform uniform
+    getMatrix() {
+        const cos = Math.cos(this.rotation) * this.zoom;
+        const sin = Math.sin(this.rotation) * this.zoom;
+        
+        return [
+            cos, sin, 0,
+            -sin, cos, 0,
+            this.panX, this.panY, 1
+        ];
+    }
+    
+    panBy(dx, dy) {
+        this.panX += dx;
+        this.panY += dy;
+        this.notifyChange();
+    }
+    
+    zoomAt(factor, screenX, screenY) {
+        const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.zoom * factor));
+        if (zoom === this.zoom) return;
+        
+        // Keep the document point under the cursor in place
+        this.keepAnchored(screenX, screenY, () => {
+            this.zoom = zoom;
+        });
+    }
+    
+    setZoom(zoom, screenX, screenY) {
+        this.zoomAt(zoom / this.zoom, screenX, screenY);
+    }
+    
+    rotateBy(angle, screenX, screenY) {
+        this.keepAnchored(screenX, screenY, () => {
+            // Wrap to (-PI, PI] so the angle stays readable
+            this.rotation = Math.atan2(Math.sin(this.rotation + angle), Math.cos(this.rotation + angle));
+        });
+    }
+    
+    keepAnchored(screenX, screenY, change) {
+        const anchor = this.screenToDocument(screenX, screenY);
+        change();
+        
+        const moved = this.documentToScreen(anchor.x, anchor.y);
+        this.panX += screenX - moved.x;
+        this.panY += screenY - moved.y;
+        this.notifyChange();
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+    
+    static multiply(a, b) {
+        // Column-major 3x3 product a * b
+        const result = new Array(9);
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                result[col * 3 + row] =
+                    a[row] * b[col * 3] +
+                    a[3 + row] * b[col * 3 + 1] +
+                    a[6 + row] * b[col * 3 + 2];
+            }
+        }
+        return result;
+    }
+}
@@ -58,6 +58,87 @@ class WebGLUtils {
         return framebuffer;
     }
     
+    static copyFramebufferToTexture(gl, framebuffer, texture, width, height) {
+        // Straight GPU copy of the framebuffer contents, no shader pass needed
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, width, height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    static copyFramebufferRegion(gl, framebuffer, texture, region) {
+        // Copies a rectangle of the framebuffer to another spot in the texture
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, region.dstX, region.dstY, region.srcX, region.srcY, region.width, region.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    static createTiledTexture(gl, size, fill, filter = gl.LINEAR) {
+        // fill(x, y) returns premultiplied [r, g, b, a] bytes; size must be a power of two
+        const pixels = new Uint8Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                pixels.set(fill(x, y), (y * size + x) * 4);
+            }
+        }
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        
+        return texture;
+    }
+    
+    static createCheckerTexture(gl, size, cell) {
+        // Light grey checkerboard shown behind transparent documents
+        return WebGLUtils.createTiledTexture(gl, size, (x, y) => {
+            const value = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 ? 204 : 255;
+            return [value, value, value, 255];
+        }, gl.NEAREST);
+    }
+    
+    static createPaperTexture(gl, size) {
+        // Warm off-white with soft fibres: blurred noise that wraps at the edges
+        const noise = new Float32Array(size * size).map(() => Math.random());
+        const sample = (x, y) => noise[((y + size) % size) * size + ((x + size) % size)];
+        
+        return WebGLUtils.createTiledTexture(gl, size, (x, y) => {
+            let sum = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    sum += sample(x + dx, y + dy);
+                }
+            }
+            const shade = 0.93 + 0.07 * (sum / 15);
+            return [Math.round(252 * shade), Math.round(247 * shade), Math.round(235 * shade), 255];
+        });
+    }
+    
+    static createNoiseTexture(gl, size) {
+        // Random grey values that tile seamlessly (size must be a power of two)
+        const pixels = new Uint8Array(size * size * 4);
+        for (let i = 0; i < pixels.length; i += 4) {
+            const value = Math.floor(Math.random() * 256);
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = value;
+            pixels[i + 3] = 255;
+        }
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        
+        return texture;
+    }
+    
     static createBuffer(gl, data) {
         const buffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
@@ -86,6 +167,30 @@ class WebGLUtils {
             b: parseInt(result[3], 16) / 255
         } : { r: 0, g: 0, b: 0 };
     }
+    
+    // Average colour of a size x size block of straight-alpha RGBA rows that
+    // are `width` pixels wide, or null where nothing has been painted
+    static averageColor(pixels, width, left, top, size) {
+        // Weight by alpha so transparent pixels don't darken the average
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let row = top; row < top + size; row++) {
+            for (let col = left; col < left + size; col++) {
+                const i = (row * width + col) * 4;
+                r += pixels[i] * pixels[i + 3];
+                g += pixels[i + 1] * pixels[i + 3];
+                b += pixels[i + 2] * pixels[i + 3];
+                a += pixels[i + 3];
+            }
+        }
+        if (a === 0) return null;
+        
+        return {
+            r: Math.round(r / a),
+            g: Math.round(g / a),
+            b: Math.round(b / a),
+            a: Math.round(a / (size * size))
+        };
+    }
 }
 
 // Shader sources for GPU-accelerated drawing
@@ -112,51 +217,125 @@ const FRAGMENT_SHADER_SOURCE = `
     uniform sampler2D u_texture;
     uniform vec4 u_color;
     uniform float u_alpha;
+    uniform vec2 u_texScale;
     
     varying vec2 v_texCoord;
     
     void main() {
-        vec4 texColor = texture2D(u_texture, v_texCoord);
+        vec4 texColor = texture2D(u_texture, v_texCoord * u_texScale);
         gl_FragColor = mix(texColor, u_color, u_alpha);
     }
 `;
 
-const BRUSH_FRAGMENT_SHADER = `
-    precision mediump float;
+// Batched brush stamps - each dab is a quad carrying its own parameters
+const DAB_FLOATS_PER_VERTEX = 13; // corner(2) + center(2) + radius(1) + color(4) + hardness, angle, roundness, grain
+const GRAIN_TEXTURE_SIZE = 128;
+const DAB_CORNERS = [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1];
+
+const STAMP_VERTEX_SHADER = `
+    attribute vec2 a_corner;
+    attribute vec2 a_center;
+    attribute float a_radius;
+    attribute vec4 a_color;
+    attribute float a_hardness;
+    attribute float a_angle;
+    attribute float a_roundness;
+    attribute float a_grain;
     
-    uniform vec2 u_center;
-    uniform float u_radius;
-    uniform vec4 u_color;
     uniform vec2 u_resolution;
+    uniform vec2 u_origin;
+    
+    varying vec2 v_offset;
+    varying float v_radius;
+    varying vec4 v_color;
+    varying float v_hardness;
+    varying float v_grain;
     
     void main() {
-        vec2 pos = gl_FragCoord.xy;
-        float dist = distance(pos, u_center);
+        // One extra pixel around the dab leaves room for anti-aliasing
+        vec2 offset = a_corner * (a_radius + 1.0);
+        vec2 position = a_center + offset - u_origin;
+        vec2 clipSpace = ((position / u_resolution) * 2.0 - 1.0) * vec2(1, -1);
+        gl_Position = vec4(clipSpace, 0, 1);
         
-        // Smooth brush with anti-aliasing
-        float alpha = 1.0 - smoothstep(u_radius - 1.0, u_radius + 1.0, dist);
+        // Express the offset in tip space so an angled, flattened tip is a circle there
+        float c = cos(a_angle);
+        float s = sin(a_angle);
+        vec2 tipOffset = vec2(c * offset.x + s * offset.y, -s * offset.x + c * offset.y);
+        v_offset = vec2(tipOffset.x, tipOffset.y / a_roundness);
+        v_radius = a_radius;
+        v_color = a_color;
+        v_hardness = a_hardness;
+        v_grain = a_grain;
+    }
+`;
+
+const STAMP_FRAGMENT_SHADER = `
+    precision mediump float;
+    
+    uniform sampler2D u_grain;
+    uniform float u_grainSize;
+    
+    varying vec2 v_offset;
+    varying float v_radius;
+    varying vec4 v_color;
+    varying float v_hardness;
+    varying float v_grain;
+    
+    void main() {
+        float dist = length(v_offset);
+        
+        // Hardness sets how far in from the edge the falloff starts;
+        // a fully hard tip keeps just the one-pixel anti-aliased edge
+        float falloff = max(v_radius * (1.0 - v_hardness), 1.0);
+        float alpha = 1.0 - smoothstep(v_radius - falloff, v_radius + 1.0, dist);
         
         // Pressure-sensitive opacity
-        alpha *= u_color.a;
+        alpha *= v_color.a;
+        
+        // Paper grain is fixed to the canvas so it lines up across dabs
+        float grain = texture2D(u_grain, gl_FragCoord.xy / u_grainSize).r;
+        alpha *= 1.0 - v_grain * grain;
         
-        gl_FragColor = vec4(u_color.rgb, alpha);
+        // Premultiplied output
+        gl_FragColor = vec4(v_color.rgb * alpha, alpha);
     }
 `;
 
-const ERASER_FRAGMENT_SHADER = `
-    precision mediump float;
+// Variable-width ribbon strokes - a triangle strip along the stroke centre line
+const RIBBON_JOIN_ANGLE = 0.2; // radians of turn before a round join is added
+
+const RIBBON_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    attribute float a_offset;
+    attribute float a_halfWidth;
     
-    uniform vec2 u_center;
-    uniform float u_radius;
     uniform vec2 u_resolution;
+    uniform vec2 u_origin;
+    
+    varying float v_offset;
+    varying float v_halfWidth;
     
     void main() {
-        vec2 pos = gl_FragCoord.xy;
-        float dist = distance(pos, u_center);
-        
-        // Smooth eraser with anti-aliasing
-        float alpha = smoothstep(u_radius - 1.0, u_radius + 1.0, dist);
+        vec2 clipSpace = (((a_position - u_origin) / u_resolution) * 2.0 - 1.0) * vec2(1, -1);
+        gl_Position = vec4(clipSpace, 0, 1);
         
-        gl_FragColor = vec4(1.0, 1.0, 1.0, alpha);
+        v_offset = a_offset;
+        v_halfWidth = a_halfWidth;
     }
 `;
+
+const RIBBON_FRAGMENT_SHADER = `
+    precision mediump float;
+    
+    uniform vec4 u_color;
+    
+    varying float v_offset;
+    varying float v_halfWidth;
+    
+    void main() {
+        // Anti-aliased edges across the ribbon, solid in the middle
+        float alpha = 1.0 - smoothstep(v_halfWidth - 1.0, v_halfWidth + 1.0, abs(v_offset));
+        gl_FragColor = vec4(u_color.rgb * alpha, alpha);
+    }
+`;
\ No newline at end of file